@@ -1,37 +1,356 @@
-
 function CarMaker() {}
 CarMaker.prototype.drive = function() { console.log(`driving, have ${this.doors} doors`); };
 
-CarMaker.factory = function(type) {
+// The factory keeps known car types in a registry hidden in a closure instead
+// of in static properties of CarMaker, so anyone (e.g. a third-party module)
+// can add a new type by calling "register" without touching CarMaker itself.
 
-  if (typeof CarMaker[type] !== 'function') {
-    throw new Error(`${type} doesn't exist`);
-  }
+(() => {
 
-  if (typeof CarMaker[type].prototype.drive !== 'function') {
-    CarMaker[type].prototype = new CarMaker();
-  }
+  // type name -> { ctor, requires }
+  const registry = new Map();
+
+  // register(type, ctor, options)
+  // options:
+  // - requires: names of methods that instances must have (default ['drive'])
+  // - inherit: whether to link ctor's prototype to CarMaker.prototype (default true)
+  // - override: allow replacing already registered type (default false)
+  CarMaker.register = function(type, ctor, { requires = ['drive'], inherit = true, override = false } = {}) {
+    if (typeof type !== 'string' || type === '') {
+      throw new TypeError('car type has to be a non-empty string');
+    }
+
+    if (typeof ctor !== 'function' || !ctor.prototype) {
+      throw new TypeError(`constructor of "${type}" has to be a constructor function`);
+    }
+
+    if (registry.has(type) && !override) {
+      throw new Error(`car type "${type}" is already registered`);
+    }
+
+    // link the prototypes without calling CarMaker (unlike
+    // "ctor.prototype = new CarMaker()") and keep methods that the type
+    // has already defined on its own prototype, but only if the type
+    // doesn't have a parent yet, relinking a subclass would cut it off
+    // from its own parent everywhere, not only in the factory
+    const link = inherit && !(ctor.prototype instanceof CarMaker);
+
+    if (link && Object.getPrototypeOf(ctor.prototype) !== Object.prototype) {
+      throw new TypeError(`car type "${type}" already inherits from ` +
+        `${Object.getPrototypeOf(ctor.prototype).constructor.name}, register it with { inherit: false }`);
+    }
+
+    if (link) { Object.setPrototypeOf(ctor.prototype, CarMaker.prototype); }
+
+    // validated after linking, so inherited methods count, and a rejected
+    // type is unlinked again, so it is left as it was
+    const missing = requires.filter((method) => typeof ctor.prototype[method] !== 'function');
+
+    if (missing.length > 0) {
+      if (link) { Object.setPrototypeOf(ctor.prototype, Object.prototype); }
+      throw new TypeError(`car type "${type}" doesn't implement: ${missing.join(', ')}`);
+    }
+
+    registry.set(type, { ctor, requires });
+    return CarMaker;
+  };
+
+  CarMaker.unregister = function(type) {
+    return registry.delete(type);
+  };
+
+  CarMaker.types = function() {
+    return Array.from(registry.keys());
+  };
+
+  CarMaker.factory = function(type, ...args) {
+    if (!registry.has(type)) {
+      throw new Error(`${type} doesn't exist, valid types are: ${CarMaker.types().join(', ')}`);
+    }
+
+    const { ctor, requires } = registry.get(type);
+    const car = new ctor(...args);
+
+    // constructor can return an arbitrary object instead of "this"
+    const missing = requires.filter((method) => typeof car[method] !== 'function');
+
+    if (missing.length > 0) {
+      throw new TypeError(`car of type "${type}" doesn't implement: ${missing.join(', ')}`);
+    }
 
-  const car = new CarMaker[type]();
-  return car;
-};
+    return car;
+  };
 
-CarMaker.SUV = function() {
+})();
+
+CarMaker.register('SUV', function SUV(color = 'black') {
   this.doors = 10;
-};
+  this.color = color;
+});
 
-CarMaker.Convertible = function() {
+CarMaker.register('Convertible', function Convertible(color = 'red') {
   this.doors = 2;
-};
+  this.color = color;
+});
 
-CarMaker.Compact = function() {
+CarMaker.register('Compact', function Compact(color = 'white') {
   this.doors = 4;
-};
+  this.color = color;
+});
 
 const corolla = CarMaker.factory('Compact');
-const solstice = CarMaker.factory('Convertible');
+const solstice = CarMaker.factory('Convertible', 'yellow');
 const cherokee = CarMaker.factory('SUV');
 
 corolla.drive();
 solstice.drive();
 cherokee.drive();
+
+console.log(solstice.color);               // <- yellow
+console.log(cherokee instanceof CarMaker); // <- true
+
+// a type registered from somewhere else, with its own "drive" method and
+// an additional required method
+
+function Truck(load) {
+  this.doors = 2;
+  this.load = load;
+}
+Truck.prototype.drive = function() { console.log(`driving slowly, carrying ${this.load}`); };
+Truck.prototype.unload = function() { this.load = 'nothing'; };
+
+CarMaker.register('Truck', Truck, { requires: ['drive', 'unload'] });
+
+const truck = CarMaker.factory('Truck', 'bricks');
+truck.drive();                    // <- driving slowly, carrying bricks
+
+console.log(CarMaker.types());    // <- [ 'SUV', 'Convertible', 'Compact', 'Truck' ]
+
+try {
+  CarMaker.factory('Tank');
+} catch (e) {
+  console.log(e.message);         // <- Tank doesn't exist, valid types are: SUV, Convertible, Compact, Truck
+}
+
+try {
+  CarMaker.register('Bike', function Bike() {}, { requires: ['drive', 'pedal'] });
+} catch (e) {
+  console.log(e.message);         // <- car type "Bike" doesn't implement: pedal
+}
+
+// a class that already has a parent keeps it, it can't be linked to CarMaker,
+// so it has to be registered without inheriting
+class Vehicle {
+  charge() { console.log('charging'); }
+}
+
+class Tesla extends Vehicle {
+  drive() { console.log('driving silently'); }
+}
+
+try {
+  CarMaker.register('Tesla', Tesla, { requires: ['drive', 'charge'] });
+} catch (e) {
+  console.log(e.message);         // <- car type "Tesla" already inherits from Vehicle, register it with { inherit: false }
+}
+
+CarMaker.register('Tesla', Tesla, { requires: ['drive', 'charge'], inherit: false });
+console.log(CarMaker.factory('Tesla') instanceof Vehicle);   // <- true
+
+CarMaker.unregister('Truck');
+CarMaker.unregister('Tesla');
+console.log(CarMaker.types());    // <- [ 'SUV', 'Convertible', 'Compact' ]
+
+// -----------------------------------------------------------------------------
+// DEPENDENCY INJECTION CONTAINER
+// The factory creates a car for us, but we still have to know and pass in
+// everything that the car needs. When we build many service objects that need
+// other services (which need other services...), it is convenient to let
+// someone else do the wiring. That someone is a container, we tell it how to
+// build each service and which services it depends on (by name) and the
+// container resolves the whole tree for us.
+
+// register(name, provider, options)
+// - provider: constructor function, factory function (with "factory: true")
+//   or a name of a type registered in CarMaker, in which case the instance is
+//   built by "CarMaker.factory"
+// options:
+// - inject: names of dependencies passed to the provider as arguments, if
+//   omitted, the provider's static "inject" property is used (so the types
+//   themselves can declare what they need)
+// - lifetime: 'transient' (new instance for every resolve, default),
+//   'singleton' (one instance per container) or 'scoped' (one instance per scope)
+// - factory: whether to call the provider without "new" (default false)
+// - initialize: name of a method that is called (and awaited) after the
+//   instance is created, if the instance has it (default 'init')
+// Since factories and initializers may be asynchronous, "resolve" always
+// returns a promise.
+
+function createContainer() {
+  // name -> { provider, inject, lifetime, factory, initialize }
+  const registrations = new Map();
+  // name -> promise of the instance
+  const singletons = new Map();
+
+  const register = function(name, provider, options = {}) {
+    const {
+      inject = (typeof provider === 'function' && provider.inject) || [],
+      lifetime = 'transient',
+      factory = false,
+      initialize = 'init'
+    } = options;
+
+    if (!['transient', 'singleton', 'scoped'].includes(lifetime)) {
+      throw new TypeError(`unknown lifetime "${lifetime}" of "${name}"`);
+    }
+
+    if (typeof provider !== 'function' && !CarMaker.types().includes(provider)) {
+      throw new TypeError(`provider of "${name}" has to be a function or a car type`);
+    }
+
+    registrations.set(name, { provider, inject, lifetime, factory, initialize });
+  };
+
+  const instantiate = async function({ provider, factory, initialize }, deps) {
+    let instance;
+
+    if (typeof provider === 'string') {
+      instance = CarMaker.factory(provider, ...deps);
+    } else if (factory) {
+      instance = await provider(...deps);
+    } else {
+      instance = new provider(...deps);
+    }
+
+    if (initialize && instance && typeof instance[initialize] === 'function') {
+      await instance[initialize]();
+    }
+
+    return instance;
+  };
+
+  const createScope = function() {
+    // name -> promise of the instance, separate for each scope
+    const scoped = new Map();
+
+    // "chain" holds the names that are being resolved right now, from
+    // the one requested by the user down to the current one
+    const resolve = async function(name, chain = []) {
+      if (chain.includes(name)) {
+        throw new Error(`circular dependency: ${[...chain, name].join(' -> ')}`);
+      }
+
+      if (!registrations.has(name)) {
+        const path = chain.length > 0 ? ` (required by ${chain.join(' -> ')})` : '';
+        throw new Error(`${name} is not registered${path}`);
+      }
+
+      const registration = registrations.get(name);
+      const { lifetime, inject } = registration;
+
+      // a singleton holding a scoped service would keep it alive for the
+      // whole lifetime of the container
+      const owner = chain.find((n) => registrations.get(n).lifetime === 'singleton');
+
+      if (lifetime === 'scoped' && owner) {
+        throw new Error(`singleton ${owner} can't depend on scoped ${name}`);
+      }
+
+      const cache = { singleton: singletons, scoped, transient: null }[lifetime];
+
+      // cache the promise, not the instance, so that two concurrent
+      // resolves don't create two instances
+      if (cache && cache.has(name)) { return cache.get(name); }
+
+      const instance = Promise.all(inject.map((dep) => resolve(dep, [...chain, name])))
+        .then((deps) => instantiate(registration, deps));
+
+      if (cache) {
+        cache.set(name, instance);
+        // don't remember failures, next resolve should try again
+        instance.catch(() => { cache.delete(name); });
+      }
+
+      return instance;
+    };
+
+    return {
+      register,
+      resolve: (name) => resolve(name),
+      createScope,
+      has: (name) => registrations.has(name)
+    };
+  };
+
+  return createScope();
+}
+
+(() => {
+
+  function Logger() {
+    this.lines = [];
+  }
+  Logger.prototype.log = function(line) { this.lines.push(line); };
+
+  // a service with an asynchronous initializer
+  function Engine(logger) {
+    this.logger = logger;
+    this.ready = false;
+  }
+  Engine.inject = ['logger'];
+  Engine.prototype.init = function() {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        this.ready = true;
+        this.logger.log('engine started');
+        resolve();
+      }, 10);
+    });
+  };
+
+  function Garage(engine, car, logger) {
+    this.engine = engine;
+    this.car = car;
+    this.logger = logger;
+  }
+  Garage.inject = ['engine', 'car', 'logger'];
+
+  const container = createContainer();
+
+  container.register('logger', Logger, { lifetime: 'singleton' });
+  container.register('engine', Engine, { lifetime: 'scoped' });
+  container.register('garage', Garage);
+  // built by CarMaker.factory, the resolved "color" is passed to its constructor
+  container.register('color', () => 'green', { factory: true });
+  container.register('car', 'Compact', { inject: ['color'] });
+
+  const request1 = container.createScope();
+  const request2 = container.createScope();
+
+  Promise.all([
+    request1.resolve('garage'),
+    request1.resolve('garage'),
+    request2.resolve('garage')
+  ]).then(([garage1, garage2, garage3]) => {
+    console.log(garage1 === garage2);                 // <- false, garage is transient
+    console.log(garage1.engine === garage2.engine);   // <- true, same scope
+    console.log(garage1.engine === garage3.engine);   // <- false, different scope
+    console.log(garage1.logger === garage3.logger);   // <- true, singleton
+    console.log(garage1.engine.ready);                // <- true
+    console.log(garage1.car.color);                   // <- green
+    garage1.car.drive();                              // <- driving, have 4 doors
+    console.log(garage1.logger.lines);                // <- [ 'engine started', 'engine started' ]
+  });
+
+  // circular dependencies are reported with the whole chain
+  const broken = createContainer();
+
+  broken.register('a', function A(b) { this.b = b; }, { inject: ['b'] });
+  broken.register('b', function B(c) { this.c = c; }, { inject: ['c'] });
+  broken.register('c', function C(a) { this.a = a; }, { inject: ['a'] });
+
+  broken.resolve('a').catch((e) => {
+    console.log(e.message);   // <- circular dependency: a -> b -> c -> a
+  });
+
+})();
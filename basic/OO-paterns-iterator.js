@@ -37,7 +37,7 @@
       getNext() {
         if (!this.hasNext()) { return null; }
 
-        elem = data[i];
+        const elem = data[i];
         i += 1;
         return elem;
       },
@@ -129,7 +129,7 @@
       getNext() {
         if (!this.hasNext()) { return null; }
 
-        elem = data[i];
+        const elem = data[i];
         i += 1;
         return elem;
       },
@@ -141,9 +141,28 @@
     }
   }
 
+  // there is no document outside of the browser, in Node we parse the html
+  // above with the in-memory DOM from dom-in-memory.js
+  const doc = typeof document !== 'undefined' ? document : require('./dom-in-memory.js').createDocument(`
+<html>
+  <head>
+    <title>some title</title>
+  </head>
+  <body>
+    <div>
+      <p>some paragraph</p>
+      <ul>
+        <li><a>link 1</a></li>
+        <li><a>link 2</a></li>
+      </ul>
+    </div>
+    <script src="./test.js"></script>
+  </body>
+</html>`);
+
   // fetch ul element and use it as argument to
   // getDOMIterator function
-  const list = document.querySelector('ul'),
+  const list = doc.querySelector('ul'),
         listIterator = getDOMIterator(list);
 
   console.log(listIterator.getNext());   // <- ul
@@ -230,3 +249,1405 @@
   console.log([...obj]); // <- [1, 2, 3, 4]
 
 })();
+
+// -----------------------------------------------------------------------------
+// ONE ITERATOR, BOTH PROTOCOLS
+// We have ended up with two kinds of iterators that don't understand each
+// other. Our "hasNext/getNext" objects can't be used in for-of loop or with
+// spread operator, and iterators created by Symbol.iterator (generators
+// included) can only move forward, they have no "getCurrent" and no "rewind".
+
+// Let's write a wrapper that takes either of them (or anything iterable, like
+// array, string, Map or Set) and speaks both languages. The trick that makes
+// "rewind" and "getCurrent" possible for one-way iterators is a buffer, every
+// element that we pull out of the source is remembered, so we can go back and
+// read it again. Note that only the elements that were actually requested
+// are pulled from the source, so it works for infinite generators as well, as
+// long as we don't try to read all of them.
+
+// Remembering everything has its price though, a plain for-of over a long
+// (or infinite) generator would keep every element in memory. So "rewind" is
+// opt-in, with { rewindable: true }, otherwise the buffer holds only the one
+// element that "getCurrent" has read ahead.
+
+function createIterator(source, { rewindable = false } = {}) {
+  const isClassic = source && typeof source.hasNext === 'function' &&
+                    typeof source.getNext === 'function';
+
+  if (!isClassic && (source == null || typeof source[Symbol.iterator] !== 'function')) {
+    throw new TypeError('source has to be iterable or provide hasNext and getNext');
+  }
+
+  const upstream = isClassic ? null : source[Symbol.iterator]();
+  const buffer = [];
+  // "i" is the position in the whole sequence, "start" the position of the
+  // first element that is still in the buffer
+  let i = 0,
+      start = 0,
+      exhausted = false;
+
+  // makes sure that the element at "index" is in the buffer (if there is one)
+  const fill = (index) => {
+    while (!exhausted && start + buffer.length <= index) {
+      if (isClassic) {
+        if (source.hasNext()) {
+          buffer.push(source.getNext());
+        } else {
+          exhausted = true;
+        }
+      } else {
+        const { value, done } = upstream.next();
+        if (done) {
+          exhausted = true;
+        } else {
+          buffer.push(value);
+        }
+      }
+    }
+    return index < start + buffer.length;
+  };
+
+  return {
+    hasNext() { return fill(i); },
+    getNext() {
+      if (!this.hasNext()) { return null; }
+
+      const elem = buffer[i - start];
+      i += 1;
+
+      if (!rewindable) {
+        buffer.shift();
+        start += 1;
+      }
+      return elem;
+    },
+    getCurrent() {
+      if (!this.hasNext()) { return null; }
+      return buffer[i - start];
+    },
+    rewind() {
+      if (!rewindable) {
+        throw new TypeError('the iterator is not rewindable, create it with { rewindable: true }');
+      }
+      i = 0;
+    },
+
+    // Symbol.iterator protocol shares the position with the methods above,
+    // so for-of continues from wherever "getNext" has stopped
+    next() {
+      return this.hasNext()
+        ? { value: this.getNext(), done: false }
+        : { value: undefined, done: true };
+    },
+    [Symbol.iterator]() { return this; }
+  };
+}
+
+(() => {
+
+  // classic iterator, the same as in the first example
+  const myObj = (() => {
+
+    let i = 0,
+        data = [1, 2, 3, 4, 5];
+
+    return {
+      hasNext() { return i < data.length; },
+      getNext() {
+        if (!this.hasNext()) { return null; }
+
+        const elem = data[i];
+        i += 1;
+        return elem;
+      }
+    };
+
+  })();
+
+  const fromClassic = createIterator(myObj, { rewindable: true });
+
+  console.log(fromClassic.getNext());  // <- 1
+  console.log([...fromClassic]);       // <- [2, 3, 4, 5]
+
+  fromClassic.rewind();
+  for (const val of fromClassic) { console.log(val); } // <- 1, 2, 3, 4, 5
+
+  // the same goes for the DOM iterator from the previous section, e.g.
+  // for (const elem of createIterator(getDOMIterator(list))) { ... }
+
+  // infinite generator gets "getCurrent" and "rewind"
+  function* naturals() {
+    let n = 1;
+    while (true) { yield n++; }
+  }
+
+  const fromGenerator = createIterator(naturals(), { rewindable: true });
+
+  console.log(fromGenerator.getNext());     // <- 1
+  console.log(fromGenerator.getNext());     // <- 2
+  console.log(fromGenerator.getCurrent());  // <- 3
+  console.log(fromGenerator.getCurrent());  // <- 3
+
+  fromGenerator.rewind();
+  console.log(fromGenerator.getNext());     // <- 1, read from the buffer
+
+  // without { rewindable: true }, nothing is kept, so even a loop over an
+  // infinite generator runs in constant memory
+  const once = createIterator(naturals());
+  let sum = 0;
+
+  for (const n of once) {
+    if (n > 1000000) { break; }
+    sum += n;
+  }
+  console.log(sum);                         // <- 500000500000
+
+  try {
+    once.rewind();
+  } catch (e) {
+    console.log(e.message);  // <- the iterator is not rewindable, create it with { rewindable: true }
+  }
+
+  // and any other iterable
+  const fromMap = createIterator(new Map([['a', 1], ['b', 2]]));
+
+  console.log(fromMap.getNext());    // <- [ 'a', 1 ]
+  console.log(fromMap.getNext());    // <- [ 'b', 2 ]
+  console.log(fromMap.getNext());    // <- null
+
+})();
+
+// -----------------------------------------------------------------------------
+// LAZY SEQUENCES
+// In the functions section, we have written our own "map" that takes an array
+// and a callback. The array methods (map, filter, ...) work the same way, each
+// of them walks through the whole array and creates a new one. That is fine for
+// a few elements, but if the source is huge (lines of a big file) or infinite
+// (a generator that never ends), we can't afford, or are not even able, to
+// create those intermediate arrays.
+
+// Iterators give us a way out, instead of pushing all of the elements through
+// one step after another, the last step pulls one element at a time from the
+// previous step, which pulls it from the step before and so on. Nothing is
+// computed until someone asks for it and only as much as was asked for. Each
+// step is a generator that wraps the iterator of the previous one, and since
+// generators are closed automatically when for-of loop stops early, "take"
+// also closes (stops) every step before it, the source included.
+
+// "lazy" accepts any iterable or our classic hasNext/getNext iterator, and
+// returns a sequence with chainable methods. Sequences are iterable, so the
+// result can be used in for-of, spread, or turned into an array by "toArray".
+
+const lazy = (() => {
+
+  const proto = {
+    map(fn) {
+      const source = this;
+      return create(function* () {
+        let i = 0;
+        for (const value of source) { yield fn(value, i++); }
+      });
+    },
+
+    filter(fn) {
+      const source = this;
+      return create(function* () {
+        let i = 0;
+        for (const value of source) {
+          if (fn(value, i++)) { yield value; }
+        }
+      });
+    },
+
+    // "fn" returns an iterable for each element, and its elements are
+    // yielded one by one
+    flatMap(fn) {
+      const source = this;
+      return create(function* () {
+        let i = 0;
+        for (const value of source) { yield* fn(value, i++); }
+      });
+    },
+
+    take(count) {
+      const source = this;
+      return create(function* () {
+        if (count <= 0) { return; }
+
+        let taken = 0;
+        for (const value of source) {
+          yield value;
+          taken += 1;
+          // return before asking the source for one more element
+          if (taken >= count) { return; }
+        }
+      });
+    },
+
+    drop(count) {
+      const source = this;
+      return create(function* () {
+        let dropped = 0;
+        for (const value of source) {
+          if (dropped < count) {
+            dropped += 1;
+          } else {
+            yield value;
+          }
+        }
+      });
+    },
+
+    takeWhile(fn) {
+      const source = this;
+      return create(function* () {
+        let i = 0;
+        for (const value of source) {
+          if (!fn(value, i++)) { return; }
+          yield value;
+        }
+      });
+    },
+
+    // pairs elements of this and the other sequences, [a0, b0], [a1, b1], ...
+    // and stops with the shortest of them
+    zip(...others) {
+      const source = this;
+      return create(function* () {
+        const iterators = [source, ...others].map((it) => toIterable(it)[Symbol.iterator]());
+
+        try {
+          while (true) {
+            const results = iterators.map((it) => it.next());
+            if (results.some((result) => result.done)) { return; }
+            yield results.map((result) => result.value);
+          }
+        } finally {
+          iterators.forEach((it) => {
+            if (typeof it.return === 'function') { it.return(); }
+          });
+        }
+      });
+    },
+
+    // non-overlapping groups of "size" elements, the last one may be shorter
+    chunk(size) {
+      if (size < 1) { throw new RangeError('chunk size has to be at least 1'); }
+
+      const source = this;
+      return create(function* () {
+        let chunk = [];
+        for (const value of source) {
+          chunk.push(value);
+          if (chunk.length === size) {
+            yield chunk;
+            chunk = [];
+          }
+        }
+        if (chunk.length > 0) { yield chunk; }
+      });
+    },
+
+    // sliding window of "size" elements, moved by "step" elements at a time
+    window(size, step = 1) {
+      if (size < 1 || step < 1) { throw new RangeError('window size and step have to be at least 1'); }
+
+      const source = this;
+      return create(function* () {
+        let window = [],
+            skip = 0;
+        for (const value of source) {
+          if (skip > 0) {
+            skip -= 1;
+            continue;
+          }
+          window.push(value);
+          if (window.length === size) {
+            yield window.slice();
+            window = window.slice(step);
+            skip = Math.max(step - size, 0);
+          }
+        }
+      });
+    },
+
+    // keeps the first element for each key, only the keys are remembered
+    uniqueBy(fn = (value) => value) {
+      const source = this;
+      return create(function* () {
+        const seen = new Set();
+        for (const value of source) {
+          const key = fn(value);
+          if (!seen.has(key)) {
+            seen.add(key);
+            yield value;
+          }
+        }
+      });
+    },
+
+    // the following methods consume the sequence, so they are not lazy
+    // (and never finish for an infinite sequence, "take" it first)
+
+    reduce(fn, initial) {
+      let acc = initial,
+          i = 0;
+      for (const value of this) { acc = fn(acc, value, i++); }
+      return acc;
+    },
+
+    groupBy(fn) {
+      return this.reduce((groups, value) => {
+        const key = fn(value);
+        if (!groups.has(key)) { groups.set(key, []); }
+        groups.get(key).push(value);
+        return groups;
+      }, new Map());
+    },
+
+    toArray() { return Array.from(this); }
+  };
+
+  // classic iterators are turned into generators (without buffering,
+  // unlike "createIterator")
+  function toIterable(source) {
+    if (source && typeof source.hasNext === 'function' && typeof source.getNext === 'function') {
+      return { *[Symbol.iterator]() { while (source.hasNext()) { yield source.getNext(); } } };
+    }
+
+    if (source == null || typeof source[Symbol.iterator] !== 'function') {
+      throw new TypeError('source has to be iterable or provide hasNext and getNext');
+    }
+    return source;
+  }
+
+  function create(generator) {
+    const sequence = Object.create(proto);
+    sequence[Symbol.iterator] = generator;
+    return sequence;
+  }
+
+  return function lazy(source) {
+    const iterable = toIterable(source);
+    return create(function* () { yield* iterable; });
+  };
+
+})();
+
+(() => {
+
+  function* naturals() {
+    let n = 1;
+    while (true) { yield n++; }
+  }
+
+  // works on an infinite source because only 5 elements are ever requested
+  const squaresOfOdd = lazy(naturals())
+    .filter((n) => n % 2 === 1)
+    .map((n) => n * n)
+    .take(5)
+    .toArray();
+
+  console.log(squaresOfOdd);   // <- [1, 9, 25, 49, 81]
+
+  // we can see the order of calls, each element goes through all the steps
+  // before the next one is read
+  lazy([1, 2, 3])
+    .map((n) => { console.log(`map ${n}`); return n * 10; })
+    .filter((n) => { console.log(`filter ${n}`); return n > 10; })
+    .take(1)
+    .toArray();
+  // <- map 1, filter 10, map 2, filter 20 (3 is never touched)
+
+  console.log(lazy('abc').zip(naturals()).toArray());  // <- [['a', 1], ['b', 2], ['c', 3]]
+  console.log(lazy(naturals()).chunk(3).take(2).toArray());  // <- [[1, 2, 3], [4, 5, 6]]
+  console.log(lazy([1, 2, 3, 4, 5]).window(3).toArray());   // <- [[1, 2, 3], [2, 3, 4], [3, 4, 5]]
+  console.log(lazy(naturals()).drop(3).takeWhile((n) => n < 7).toArray()); // <- [4, 5, 6]
+  console.log(lazy([[1, 2], [3]]).flatMap((arr) => arr).toArray());        // <- [1, 2, 3]
+  console.log(lazy(naturals()).take(4).reduce((sum, n) => sum + n, 0));    // <- 10
+
+  // processing lines of a (here pretend) large file one by one
+  function* readLines() {
+    yield 'GET /index.html 200';
+    yield 'GET /missing 404';
+    yield 'POST /login 200';
+    yield 'GET /missing 404';
+  }
+
+  const byStatus = lazy(readLines())
+    .map((line) => line.split(' '))
+    .uniqueBy(([method, path]) => `${method} ${path}`)
+    .groupBy(([, , status]) => status);
+
+  console.log(byStatus.get('404').length);   // <- 1
+  console.log(byStatus.get('200').length);   // <- 2
+
+})();
+
+// -----------------------------------------------------------------------------
+// ASYNCHRONOUS ITERATORS
+// Everything so far was synchronous, "getNext" returns the element right away.
+// But many sources can't do that, the next page of results has to be
+// downloaded, the next chunk of a stream has to be read. For those, JavaScript
+// has Symbol.asyncIterator, it works the same as Symbol.iterator except that
+// "next" returns a promise of { value, done }, and we consume it with
+// for-await-of loop (async generators, "async function*", produce such
+// iterators for us).
+
+// First, the same idea as "createIterator", our classic interface on top of
+// an async source, just that every method returns a promise. The source can
+// be an async iterable, a sync iterable or an object with hasNext/getNext
+// that return promises (or plain values).
+
+function createAsyncIterator(source) {
+  const isClassic = source && typeof source.hasNext === 'function' &&
+                    typeof source.getNext === 'function';
+
+  const upstream = (() => {
+    if (isClassic) {
+      return (async function* () {
+        while (await source.hasNext()) { yield await source.getNext(); }
+      })();
+    }
+    if (source && typeof source[Symbol.asyncIterator] === 'function') {
+      return source[Symbol.asyncIterator]();
+    }
+    if (source && typeof source[Symbol.iterator] === 'function') {
+      return (async function* () { yield* source; })();
+    }
+    throw new TypeError('source has to be (async) iterable or provide hasNext and getNext');
+  })();
+
+  // the element read ahead by "hasNext", so that "getNext" returns it later
+  let peeked = null;
+
+  const peek = () => {
+    if (!peeked) { peeked = upstream.next(); }
+    return peeked;
+  };
+
+  return {
+    async hasNext() { return !(await peek()).done; },
+    async getNext() {
+      const { value, done } = await peek();
+      if (done) { return null; }
+
+      peeked = null;
+      return value;
+    },
+    async getCurrent() {
+      const { value, done } = await peek();
+      return done ? null : value;
+    },
+
+    next() {
+      const result = peek();
+      peeked = null;
+      return result;
+    },
+    // closing the wrapper closes the source
+    return(value) {
+      peeked = null;
+      return typeof upstream.return === 'function'
+        ? upstream.return(value)
+        : Promise.resolve({ value, done: true });
+    },
+    [Symbol.asyncIterator]() { return this; }
+  };
+}
+
+// And the asynchronous version of "lazy". The new thing here is time, the
+// consumer and the source may run at different speeds, and a good pipeline
+// never reads more from the source than it is able to handle (this is what
+// we call backpressure). So every step keeps only a bounded number of
+// elements in flight:
+// - mapConcurrent(limit, fn): runs up to "limit" (possibly asynchronous) calls
+//   of "fn" at once, results keep the order of the source
+// - buffer(size): reads up to "size" elements ahead while the consumer is busy
+// - merge(...others): elements of all the sources as soon as they arrive,
+//   with at most one pending read per source
+// - race(...others): continues with whichever source produces the first
+//   element, the others are closed
+// - timeout(ms): fails with TimeoutError if the source doesn't produce the
+//   next element in time
+// - abortable(signal): stops with the signal's reason once it is aborted
+// Whenever a step stops early (break, error, timeout, abort), it closes the
+// steps before it by calling "return" on their iterators, so the source can
+// release whatever it holds (connection, file handle...).
+
+const lazyAsync = (() => {
+
+  const closeAll = (iterators) => Promise.all(iterators.map((it) => (
+    typeof it.return === 'function' ? Promise.resolve(it.return()).catch(() => {}) : null
+  )));
+
+  // a promise that has its rejection handled, so that Node doesn't report
+  // it as unhandled while it waits in a queue
+  const quiet = (promise) => {
+    promise.catch(() => {});
+    return promise;
+  };
+
+  const proto = {
+    map(fn) {
+      return this.mapConcurrent(1, fn);
+    },
+
+    filter(fn) {
+      const source = this;
+      return create(async function* () {
+        let i = 0;
+        for await (const value of source) {
+          if (await fn(value, i++)) { yield value; }
+        }
+      });
+    },
+
+    take(count) {
+      const source = this;
+      return create(async function* () {
+        if (count <= 0) { return; }
+
+        let taken = 0;
+        for await (const value of source) {
+          yield value;
+          taken += 1;
+          if (taken >= count) { return; }
+        }
+      });
+    },
+
+    mapConcurrent(limit, fn) {
+      if (limit < 1) { throw new RangeError('concurrency limit has to be at least 1'); }
+
+      const source = this;
+      return create(async function* () {
+        // promises of mapped values, in the order of the source
+        const running = [];
+        let i = 0;
+
+        for await (const value of source) {
+          const index = i++;
+          running.push(quiet(Promise.resolve().then(() => fn(value, index))));
+
+          // don't read the next element until there is a free slot
+          if (running.length >= limit) { yield await running.shift(); }
+        }
+
+        while (running.length > 0) { yield await running.shift(); }
+      });
+    },
+
+    buffer(size) {
+      if (size < 1) { throw new RangeError('buffer size has to be at least 1'); }
+
+      const source = this;
+      return create(async function* () {
+        const it = source[Symbol.asyncIterator]();
+        // pending reads, async generators queue the calls of "next" for us
+        const queue = [];
+        let ended = false;
+
+        const fill = () => {
+          while (!ended && queue.length < size) { queue.push(quiet(it.next())); }
+        };
+
+        try {
+          while (true) {
+            fill();
+            const { value, done } = await queue.shift();
+            if (done) {
+              ended = true;
+              return;
+            }
+            // start reading ahead before the consumer gets the value
+            fill();
+            yield value;
+          }
+        } finally {
+          if (!ended) { await closeAll([it]); }
+        }
+      });
+    },
+
+    merge(...others) {
+      const sources = [this, ...others].map(toAsyncIterable);
+      return create(async function* () {
+        const iterators = sources.map((s) => s[Symbol.asyncIterator]());
+        // iterator -> its pending read
+        const pending = new Map();
+        // iterators that haven't finished yet, including the one whose value
+        // the consumer holds right now (it has no pending read)
+        const live = new Set(iterators);
+
+        const read = (it) => {
+          pending.set(it, it.next().then((result) => ({ it, result })));
+        };
+
+        iterators.forEach(read);
+
+        try {
+          while (pending.size > 0) {
+            const { it, result } = await Promise.race(pending.values());
+
+            pending.delete(it);
+
+            if (result.done) {
+              live.delete(it);
+            } else {
+              // ask this source for more only after the consumer took the value
+              yield result.value;
+              read(it);
+            }
+          }
+        } finally {
+          // "return" of an async generator waits behind its pending "next",
+          // so the sources that are still reading are closed without waiting
+          // (a slow or stuck source would hold us up), the others with it
+          const busy = Array.from(live).filter((it) => pending.has(it));
+          const idle = Array.from(live).filter((it) => !pending.has(it));
+
+          Array.from(pending.values()).forEach(quiet);
+          closeAll(busy);
+          await closeAll(idle);
+        }
+      });
+    },
+
+    race(...others) {
+      const sources = [this, ...others].map(toAsyncIterable);
+      return create(async function* () {
+        const iterators = sources.map((s) => s[Symbol.asyncIterator]());
+        const pending = new Map(iterators.map((it) => [it, it.next().then((result) => ({ it, result }))]));
+        let winner = null;
+
+        try {
+          while (!winner && pending.size > 0) {
+            const { it, result } = await Promise.race(pending.values());
+            pending.delete(it);
+
+            if (!result.done) {
+              winner = it;
+              // the losers are closed right away, but without waiting, their
+              // "return" waits for their pending read and the winner's value
+              // shouldn't wait for the slowest (or a stuck) loser
+              Array.from(pending.values()).forEach(quiet);
+              closeAll(Array.from(pending.keys()));
+              pending.clear();
+              yield result.value;
+            }
+          }
+
+          if (winner) {
+            while (true) {
+              const { value, done } = await winner.next();
+              if (done) { return; }
+              yield value;
+            }
+          }
+        } finally {
+          // the winner has no pending read here, the others still may have
+          Array.from(pending.values()).forEach(quiet);
+          closeAll(Array.from(pending.keys()));
+          if (winner) { await closeAll([winner]); }
+        }
+      });
+    },
+
+    timeout(ms) {
+      const source = this;
+      return create(async function* () {
+        const it = source[Symbol.asyncIterator]();
+        let finished = false;
+
+        try {
+          while (true) {
+            let timer;
+            const timeout = new Promise((resolve, reject) => {
+              timer = setTimeout(() => {
+                const error = new Error(`no element received within ${ms} ms`);
+                error.name = 'TimeoutError';
+                reject(error);
+              }, ms);
+            });
+
+            let result;
+            try {
+              result = await Promise.race([it.next(), timeout]);
+            } finally {
+              clearTimeout(timer);
+            }
+
+            if (result.done) {
+              finished = true;
+              return;
+            }
+            yield result.value;
+          }
+        } finally {
+          // don't wait for the source, it may be stuck in the read that
+          // has just timed out
+          if (!finished) { closeAll([it]); }
+        }
+      });
+    },
+
+    abortable(signal) {
+      const source = this;
+      return create(async function* () {
+        const it = source[Symbol.asyncIterator]();
+        let finished = false,
+            onAbort;
+
+        const aborted = new Promise((resolve, reject) => {
+          onAbort = () => { reject(signal.reason); };
+          if (signal.aborted) {
+            onAbort();
+          } else {
+            signal.addEventListener('abort', onAbort, { once: true });
+          }
+        });
+        quiet(aborted);
+
+        try {
+          while (true) {
+            const result = await Promise.race([it.next(), aborted]);
+            if (result.done) {
+              finished = true;
+              return;
+            }
+            yield result.value;
+          }
+        } finally {
+          signal.removeEventListener('abort', onAbort);
+          if (!finished) { closeAll([it]); }
+        }
+      });
+    },
+
+    async forEach(fn) {
+      let i = 0;
+      for await (const value of this) { await fn(value, i++); }
+    },
+
+    async toArray() {
+      const result = [];
+      for await (const value of this) { result.push(value); }
+      return result;
+    }
+  };
+
+  function toAsyncIterable(source) {
+    if (source && typeof source[Symbol.asyncIterator] === 'function') { return source; }
+    return createAsyncIterator(source);
+  }
+
+  function create(generator) {
+    const sequence = Object.create(proto);
+    sequence[Symbol.asyncIterator] = generator;
+    return sequence;
+  }
+
+  return function lazyAsync(source) {
+    const iterable = toAsyncIterable(source);
+    return create(async function* () { yield* iterable; });
+  };
+
+})();
+
+(() => {
+
+  const wait = (ms, value) => new Promise((resolve) => setTimeout(resolve, ms, value));
+
+  // paginated data source, each page has to be "downloaded"
+  const pages = [['a', 'b'], ['c', 'd'], ['e']];
+
+  async function* fetchItems(name = 'items') {
+    try {
+      for (const page of pages) {
+        const items = await wait(10, page);
+        yield* items;
+      }
+    } finally {
+      console.log(`${name} closed`);
+    }
+  }
+
+  (async () => {
+    // classic interface, just with await
+    const it = createAsyncIterator(fetchItems());
+
+    console.log(await it.getNext());     // <- a
+    console.log(await it.getCurrent());  // <- b
+    while (await it.hasNext()) {
+      console.log(await it.getNext());   // <- b, c, d, e
+    }
+    // <- items closed
+
+    // at most 2 calls of the slow function at once, results in order
+    let running = 0,
+        maxRunning = 0;
+
+    const upper = await lazyAsync(fetchItems())
+      .mapConcurrent(2, async (item) => {
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        await wait(5);
+        running -= 1;
+        return item.toUpperCase();
+      })
+      .toArray();
+    // <- items closed
+
+    console.log(upper, maxRunning);      // <- [ 'A', 'B', 'C', 'D', 'E' ] 2
+
+    // merge of a fast and a slow source
+    async function* ticks(name, ms, count) {
+      for (let i = 0; i < count; i++) { yield wait(ms, `${name}${i}`); }
+    }
+
+    console.log(await lazyAsync(ticks('fast', 5, 3)).merge(ticks('slow', 12, 2)).toArray());
+    // <- [ 'fast0', 'fast1', 'slow0', 'fast2', 'slow1' ]
+
+    console.log(await lazyAsync(ticks('slow', 20, 2)).race(ticks('fast', 5, 2)).toArray());
+    // <- [ 'fast0', 'fast1' ]
+
+    try {
+      await lazyAsync(fetchItems('timed')).timeout(5).toArray();
+    } catch (e) {
+      console.log(e.name);    // <- TimeoutError
+    }                         // <- timed closed
+
+    // stopping a long running iteration from the outside
+    const controller = new AbortController();
+
+    try {
+      await lazyAsync(fetchItems('aborted'))
+        .buffer(2)
+        .abortable(controller.signal)
+        .forEach((item) => {
+          if (item === 'c') { controller.abort(new Error('user has left')); }
+        });
+    } catch (e) {
+      console.log(e.message); // <- user has left
+    }                         // <- aborted closed
+  })();
+
+})();
+
+// -----------------------------------------------------------------------------
+// LAZY DOM WALKER
+// Let's get back to "getDOMIterator". Turning the whole subtree into an array
+// before we read the first element has two problems. It is slow for large
+// documents (and wasteful if we only need a few elements) and the array is a
+// snapshot, so if the document changes while we are iterating, we keep
+// walking through elements that may not be in the document anymore and we
+// never see the new ones.
+
+// We don't need the array at all. To find the next element in DFS order, it
+// is enough to know the current one: the next one is its first child, or if
+// it has no children, the next sibling of the closest ancestor that has one.
+// Going backwards is just the mirror of that. So the walker remembers only
+// the element it has returned last and computes its neighbour from the tree
+// every time it is asked, which keeps it up to date with the document.
+
+// Every DOM node already knows its neighbours, "firstChild", "lastChild",
+// "nextSibling", "previousSibling" and "parentNode", so each of those steps
+// is just following a link. (Going through "childNodes" and looking the node
+// up with "indexOf" would work too, but it makes every step as slow as the
+// number of siblings, and the whole walk quadratic.)
+
+// Breadth-first order (level by level) is different, the next node on the
+// same level may be far away in the tree. Here we use the usual FIFO queue,
+// the children of a node are added to the end of the queue when the walk
+// needs them. The visited part of the queue is kept, so that "getPrevious"
+// can go back, and "rewind" starts over with a fresh queue.
+
+// walkDOM(root, options) returns our classic iterator (plus "getPrevious" and
+// "hasPrevious", and Symbol.iterator for for-of) over the subtree of "root".
+// options:
+// - order: 'pre' (depth-first, parent before children, default), 'post'
+//   (depth-first, children before parent) or 'breadth' (level by level)
+// - nodeTypes: which nodes are returned, default [1] (elements only)
+// - filter: CSS selector (uses node.matches) or function, nodes that don't
+//   match are not returned, but their children still are
+// - skip: function, nodes for which it returns true are ignored together
+//   with their whole subtree
+// It needs nothing more from the nodes than "nodeType" and the links listed
+// above, so it works with any DOM-like tree.
+
+function walkDOM(root, { order = 'pre', nodeTypes = [1], filter, skip } = {}) {
+  const isSkipped = (node) => typeof skip === 'function' && skip(node);
+
+  // follows "link" from "node" (included) to the first node that is not skipped
+  const unskipped = (node, link) => {
+    while (node && isSkipped(node)) { node = node[link]; }
+    return node || null;
+  };
+
+  const firstKid = (node) => unskipped(node.firstChild, 'nextSibling');
+  const lastKid = (node) => unskipped(node.lastChild, 'previousSibling');
+  const parentOf = (node) => (node === root ? null : node.parentNode || null);
+  const nextSibling = (node) => (node === root ? null : unskipped(node.nextSibling, 'nextSibling'));
+  const previousSibling = (node) => (node === root ? null : unskipped(node.previousSibling, 'previousSibling'));
+
+  const deepest = (node, kid) => {
+    for (let child = kid(node); child; child = kid(node)) { node = child; }
+    return node;
+  };
+
+  // closest following sibling of the node or of one of its ancestors
+  const nextUp = (node) => {
+    for (let ancestor = node; ancestor && ancestor !== root; ancestor = parentOf(ancestor)) {
+      const s = nextSibling(ancestor);
+      if (s) { return s; }
+    }
+    return null;
+  };
+
+  // closest preceding sibling of the node or of one of its ancestors
+  const previousUp = (node) => {
+    for (let ancestor = node; ancestor && ancestor !== root; ancestor = parentOf(ancestor)) {
+      const s = previousSibling(ancestor);
+      if (s) { return s; }
+    }
+    return null;
+  };
+
+  // the breadth-first queue, "queue[expanded]" is the first node whose
+  // children haven't been added yet, "positions" finds a node in the queue
+  let queue, positions, expanded;
+
+  const resetQueue = () => {
+    queue = [root];
+    positions = new Map([[root, 0]]);
+    expanded = 0;
+  };
+
+  const queued = (index) => {
+    while (queue.length <= index && expanded < queue.length) {
+      for (let kid = firstKid(queue[expanded]); kid; kid = nextSibling(kid)) {
+        positions.set(kid, queue.length);
+        queue.push(kid);
+      }
+      expanded += 1;
+    }
+    return queue[index] || null;
+  };
+
+  const orders = {
+    pre: {
+      first: () => root,
+      next: (node) => firstKid(node) || nextUp(node),
+      prev: (node) => {
+        if (node === root) { return null; }
+        const s = previousSibling(node);
+        return s ? deepest(s, lastKid) : parentOf(node);
+      }
+    },
+    post: {
+      first: () => deepest(root, firstKid),
+      next: (node) => {
+        if (node === root) { return null; }
+        const s = nextSibling(node);
+        return s ? deepest(s, firstKid) : parentOf(node);
+      },
+      prev: (node) => lastKid(node) || previousUp(node)
+    },
+    breadth: {
+      first: () => root,
+      next: (node) => queued(positions.get(node) + 1),
+      prev: (node) => queued(positions.get(node) - 1)
+    }
+  };
+
+  if (!orders[order]) { throw new TypeError(`unknown order "${order}"`); }
+
+  const { first, next, prev } = orders[order];
+
+  const matches = (node) => {
+    if (!nodeTypes.includes(node.nodeType)) { return false; }
+    if (typeof filter === 'string') { return typeof node.matches === 'function' && node.matches(filter); }
+    if (typeof filter === 'function') { return Boolean(filter(node)); }
+    return true;
+  };
+
+  const seek = (node, step) => {
+    while (node && !matches(node)) { node = step(node); }
+    return node || null;
+  };
+
+  // the node that was returned last, the position of the iterator is right
+  // after it (null means the beginning)
+  let last = null;
+
+  resetQueue();
+
+  const following = () => {
+    if (isSkipped(root)) { return null; }
+    return last ? seek(next(last), next) : seek(first(), next);
+  };
+
+  return {
+    hasNext() { return following() !== null; },
+    getNext() {
+      const node = following();
+      if (node) { last = node; }
+      return node;
+    },
+    getCurrent() { return following(); },
+    hasPrevious() { return last !== null; },
+    getPrevious() {
+      const node = last;
+      if (node) { last = seek(prev(node), prev); }
+      return node;
+    },
+    rewind() {
+      last = null;
+      resetQueue();
+    },
+
+    next() {
+      const node = this.getNext();
+      return node ? { value: node, done: false } : { value: undefined, done: true };
+    },
+    [Symbol.iterator]() { return this; }
+  };
+}
+
+(() => {
+
+  // just enough of a DOM to try the walker in Node, "append" keeps the links
+  // between the nodes up to date, like the browser does
+  const append = (parent, child) => {
+    const last = parent.lastChild;
+
+    child.parentNode = parent;
+    child.previousSibling = last;
+    child.nextSibling = null;
+
+    if (last) {
+      last.nextSibling = child;
+    } else {
+      parent.firstChild = child;
+    }
+    parent.lastChild = child;
+    return child;
+  };
+
+  const el = (tagName, ...childNodes) => {
+    const node = {
+      nodeType: 1,
+      tagName: tagName.toUpperCase(),
+      parentNode: null,
+      firstChild: null,
+      lastChild: null,
+      matches(selector) { return this.tagName === selector.toUpperCase(); }
+    };
+    childNodes.forEach((child) => { append(node, child); });
+    return node;
+  };
+  const text = (data) => ({ nodeType: 3, data, parentNode: null, firstChild: null, lastChild: null });
+
+  // the <ul> from the html above
+  const list = el('ul',
+    el('li', el('a', text('link 1'))),
+    el('li', el('a', text('link 2'))));
+
+  const names = (iterator) => Array.from(iterator, (node) => node.tagName || node.data);
+
+  console.log(names(walkDOM(list)));                       // <- [ 'UL', 'LI', 'A', 'LI', 'A' ]
+  console.log(names(walkDOM(list, { order: 'post' })));    // <- [ 'A', 'LI', 'A', 'LI', 'UL' ]
+  console.log(names(walkDOM(list, { order: 'breadth' }))); // <- [ 'UL', 'LI', 'LI', 'A', 'A' ]
+  console.log(names(walkDOM(list, { filter: 'a' })));      // <- [ 'A', 'A' ]
+  console.log(names(walkDOM(list, { nodeTypes: [3] })));   // <- [ 'link 1', 'link 2' ]
+
+  const firstItem = list.firstChild;
+  console.log(names(walkDOM(list, { skip: (node) => node === firstItem }))); // <- [ 'UL', 'LI', 'A' ]
+
+  // moving back and forth
+  const walker = walkDOM(list);
+
+  console.log(walker.getNext().tagName);      // <- UL
+  console.log(walker.getNext().tagName);      // <- LI
+  console.log(walker.getNext().tagName);      // <- A
+  console.log(walker.getPrevious().tagName);  // <- A
+  console.log(walker.getPrevious().tagName);  // <- LI
+  console.log(walker.getNext().tagName);      // <- LI
+
+  // the walker sees changes made during the iteration
+  append(list, el('li', el('a', text('link 3'))));
+
+  console.log(names(walker));                 // <- [ 'A', 'LI', 'A', 'LI', 'A' ]
+
+  // and every step is just a few links, so a long list is no problem
+  const long = el('ul');
+  for (let i = 0; i < 100000; i++) { append(long, el('li')); }
+
+  console.log(names(walkDOM(long, { order: 'breadth' })).length);   // <- 100001
+
+})();
+
+// -----------------------------------------------------------------------------
+// TREES AND GRAPHS
+// The DOM is only one example of a tree. Menus, file systems, comments with
+// replies, organization charts, they are all trees, and they differ only in
+// how a node gives us its children. So instead of writing a walker for each of
+// them, let's write one that takes the "children" accessor as an argument.
+
+// And graphs are trees that are allowed to have cycles and nodes with more
+// than one parent (e.g. modules importing each other). Walking a graph the
+// same way as a tree would visit shared nodes more than once and would never
+// stop on a cycle, so we have to remember which nodes we have already visited.
+// For a graph, we get "neighbors" accessor instead of "children".
+
+// Both functions return a lazy sequence (see "lazy" above), so nodes are
+// visited only when requested and all the combinators are available. Each
+// element is a record { node, depth, path }, where "path" is the list of
+// nodes from the start to the node (the node included).
+
+// walkTree(root, options)
+// - children: function returning children of a node (default node.children)
+// - order: 'pre' (default), 'post' or 'breadth'
+
+function walkTree(root, { children = (node) => node.children || [], order = 'pre' } = {}) {
+  if (!['pre', 'post', 'breadth'].includes(order)) {
+    throw new TypeError(`unknown order "${order}"`);
+  }
+
+  // records keep a link to the parent record instead of a copy of the path,
+  // the path is built only for the records that are actually returned
+  const toPath = (record) => {
+    const path = [];
+    for (let r = record; r; r = r.parent) { path.unshift(r.node); }
+    return path;
+  };
+  const output = (record) => ({ node: record.node, depth: record.depth, path: toPath(record) });
+  const childRecords = (record) => Array.from(children(record.node) || [], (node) => (
+    { node, depth: record.depth + 1, parent: record }
+  ));
+
+  return lazy({
+    *[Symbol.iterator]() {
+      const start = { node: root, depth: 0, parent: null };
+
+      // the queue is read at "head", shift() would move the whole rest of
+      // it on every step, and children are pushed one by one, a node with
+      // hundreds of thousands of them would overflow the stack as arguments
+      if (order === 'breadth') {
+        const queue = [start];
+        let head = 0;
+
+        while (head < queue.length) {
+          const record = queue[head];
+          head += 1;
+          yield output(record);
+          childRecords(record).forEach((child) => { queue.push(child); });
+        }
+        return;
+      }
+
+      // for post-order, a record is returned when we come back to it, after
+      // all of its children were returned
+      const stack = [{ record: start, expanded: false }];
+      while (stack.length > 0) {
+        const top = stack.pop();
+
+        if (order === 'post' && top.expanded) {
+          yield output(top.record);
+          continue;
+        }
+        if (order === 'pre') { yield output(top.record); }
+        if (order === 'post') { stack.push({ record: top.record, expanded: true }); }
+
+        childRecords(top.record).reverse().forEach((record) => {
+          stack.push({ record, expanded: false });
+        });
+      }
+    }
+  });
+}
+
+// walkGraph(start, options)
+// - start: one node, or an array of nodes to start from
+// - neighbors: function returning neighbors of a node (required)
+// - order: 'depth' (default), 'breadth' or 'topological', the last one
+//   returns every node before all of its neighbors and throws on a cycle
+//   (so it can't be lazy, the whole graph has to be visited first)
+// - key: function that identifies a node, nodes with the same key are
+//   considered the same node (default is the node itself)
+// - onCycle: function called with the cycle (list of nodes, the first one
+//   repeated at the end) whenever the depth-first walk runs into one
+
+function walkGraph(start, { neighbors, order = 'depth', key = (node) => node, onCycle } = {}) {
+  if (typeof neighbors !== 'function') {
+    throw new TypeError('neighbors has to be a function');
+  }
+  if (!['depth', 'breadth', 'topological'].includes(order)) {
+    throw new TypeError(`unknown order "${order}"`);
+  }
+
+  const starts = Array.isArray(start) ? start : [start];
+
+  const toPath = (record) => {
+    const path = [];
+    for (let r = record; r; r = r.parent) { path.unshift(r.node); }
+    return path;
+  };
+  const output = (record) => ({ node: record.node, depth: record.depth, path: toPath(record) });
+  const neighborRecords = (record) => Array.from(neighbors(record.node) || [], (node) => (
+    { node, depth: record.depth + 1, parent: record }
+  ));
+
+  // the cycle closed by going from "record" to "node", if "node" is on
+  // the path leading to "record"
+  const cycleTo = (record, node) => {
+    const cycle = [];
+    for (let r = record; r; r = r.parent) {
+      cycle.unshift(r.node);
+      if (key(r.node) === key(node)) { return [...cycle, node]; }
+    }
+    return null;
+  };
+
+  function* depthFirst() {
+    const visited = new Set();
+    const stack = starts.map((node) => ({ node, depth: 0, parent: null })).reverse();
+
+    while (stack.length > 0) {
+      const record = stack.pop();
+      if (visited.has(key(record.node))) { continue; }
+
+      visited.add(key(record.node));
+      yield output(record);
+
+      neighborRecords(record).reverse().forEach((next) => {
+        if (!visited.has(key(next.node))) {
+          stack.push(next);
+        } else if (typeof onCycle === 'function') {
+          const cycle = cycleTo(record, next.node);
+          if (cycle) { onCycle(cycle); }
+        }
+      });
+    }
+  }
+
+  function* breadthFirst() {
+    const visited = new Set(starts.map(key));
+    const queue = starts.map((node) => ({ node, depth: 0, parent: null }));
+    let head = 0;
+
+    while (head < queue.length) {
+      const record = queue[head];
+      head += 1;
+      yield output(record);
+
+      neighborRecords(record).forEach((next) => {
+        if (!visited.has(key(next.node))) {
+          visited.add(key(next.node));
+          queue.push(next);
+        }
+      });
+    }
+  }
+
+  // depth-first walk that returns nodes in post-order (after all of their
+  // neighbors), reversed at the end, nodes on the current path are "open",
+  // meeting an open node again means a cycle
+  function* topological() {
+    const done = new Set(),
+          open = new Set(),
+          result = [];
+
+    starts.forEach((node) => {
+      if (done.has(key(node))) { return; }
+
+      const stack = [{ record: { node, depth: 0, parent: null }, rest: null }];
+      open.add(key(node));
+
+      while (stack.length > 0) {
+        const top = stack[stack.length - 1];
+        // reversed, so that pop() gives the neighbors in their order
+        if (!top.rest) { top.rest = neighborRecords(top.record).reverse(); }
+
+        const next = top.rest.pop();
+
+        if (!next) {
+          stack.pop();
+          open.delete(key(top.record.node));
+          done.add(key(top.record.node));
+          result.push(top.record);
+        } else if (open.has(key(next.node))) {
+          const cycle = cycleTo(top.record, next.node);
+          throw new Error(`graph has a cycle: ${cycle.map(String).join(' -> ')}`);
+        } else if (!done.has(key(next.node))) {
+          open.add(key(next.node));
+          stack.push({ record: next, rest: null });
+        }
+      }
+    });
+
+    for (let i = result.length - 1; i >= 0; i--) { yield output(result[i]); }
+  }
+
+  const walkers = { depth: depthFirst, breadth: breadthFirst, topological };
+  return lazy({ [Symbol.iterator]: walkers[order] });
+}
+
+(() => {
+
+  // a tree with a custom shape, children are in "items"
+  const menu = {
+    label: 'File',
+    items: [
+      { label: 'New', items: [{ label: 'Project' }, { label: 'File' }] },
+      { label: 'Save' }
+    ]
+  };
+
+  const labels = (records) => records.map(({ node, depth }) => `${depth}:${node.label}`).toArray();
+  const children = (node) => node.items;
+
+  console.log(labels(walkTree(menu, { children })));
+  // <- [ '0:File', '1:New', '2:Project', '2:File', '1:Save' ]
+  console.log(labels(walkTree(menu, { children, order: 'post' })));
+  // <- [ '2:Project', '2:File', '1:New', '1:Save', '0:File' ]
+  console.log(labels(walkTree(menu, { children, order: 'breadth' })));
+  // <- [ '0:File', '1:New', '1:Save', '2:Project', '2:File' ]
+
+  const found = walkTree(menu, { children }).filter(({ node }) => node.label === 'Project').take(1).toArray()[0];
+  console.log(found.path.map((node) => node.label));   // <- [ 'File', 'New', 'Project' ]
+
+  // a graph of modules and their imports, "app" and "utils" import each other
+  const imports = {
+    app: ['router', 'utils'],
+    router: ['utils'],
+    utils: ['app'],
+    logger: []
+  };
+  const neighbors = (name) => imports[name];
+
+  const cycles = [];
+  const modules = walkGraph('app', { neighbors, onCycle: (cycle) => cycles.push(cycle.join(' -> ')) })
+    .map(({ node }) => node)
+    .toArray();
+
+  console.log(modules);   // <- [ 'app', 'router', 'utils' ]
+  console.log(cycles);    // <- [ 'app -> router -> utils -> app' ]
+
+  console.log(walkGraph('app', { neighbors, order: 'breadth' }).map(({ node, depth }) => `${depth}:${node}`).toArray());
+  // <- [ '0:app', '1:router', '1:utils' ]
+
+  try {
+    walkGraph('app', { neighbors, order: 'topological' }).toArray();
+  } catch (e) {
+    console.log(e.message);   // <- graph has a cycle: app -> router -> utils -> app
+  }
+
+  // once the cycle is gone, modules are ordered so that each comes before
+  // the ones it imports
+  imports.utils = ['logger'];
+  console.log(walkGraph(['app', 'logger'], { neighbors, order: 'topological' }).map(({ node }) => node).toArray());
+  // <- [ 'app', 'router', 'utils', 'logger' ]
+
+})();
@@ -0,0 +1,324 @@
+// EVENT EMITTER (OBSERVER PATTERN)
+// In the functions section, we have registered a callback with
+// 'addEventListener' and let the browser call it whenever the user clicks on
+// the shopping cart. The idea behind it is one of the most useful patterns,
+// observer. One object (subject) keeps a list of functions (observers, or
+// listeners) that are interested in something that happens to it (event), and
+// calls all of them when it happens. The subject doesn't need to know
+// anything about the listeners and the listeners don't need to ask the
+// subject over and over again whether something has happened.
+
+// 'addEventListener' exists only in the browser (and only on DOM elements),
+// Node has its own EventEmitter, so let's build one that works anywhere, and
+// add a few features on top of the basic on/off/emit:
+// - namespaced events ('user:login', 'user:logout') and wildcards, 'user:*'
+//   listens to all 'user' events, '*' to every event, '*' in the middle of a
+//   name matches exactly one part ('*:error')
+// - priorities, listeners with higher priority are called first, listeners
+//   with the same priority in the order in which they were added
+// - once, a listener that removes itself after the first call
+// - AbortSignal, aborting the signal removes the listener (handy when many
+//   listeners should be removed together)
+// - asynchronous listeners, "emit" waits for all of them and collects errors
+//   of all listeners (synchronous ones included), one failing listener doesn't
+//   stop the others
+// - next(name) returns a promise of the next event, and iterate(name) an
+//   async iterator, so events can be consumed by for-await-of loop
+// - events option lists the event names that can be emitted, anything else
+//   (e.g. a typo in the name) is an error
+
+// -----------------------------------------------------------------------------
+
+function createEmitter({ events, onError } = {}) {
+  // listeners in the order of calling, each is { pattern, listener, priority, once, order }
+  let listeners = [];
+  let order = 0;
+
+  const isKnown = (name) => !events || events.includes(name);
+
+  const checkName = (name) => {
+    if (typeof name !== 'string' || name === '') {
+      throw new TypeError('event name has to be a non-empty string');
+    }
+    if (!isKnown(name)) {
+      throw new TypeError(`unknown event "${name}", known events are: ${events.join(', ')}`);
+    }
+  };
+
+  // patterns may contain wildcards, they are checked against the known
+  // events only if there is no wildcard
+  const checkPattern = (pattern) => {
+    if (typeof pattern !== 'string' || pattern === '') {
+      throw new TypeError('event name has to be a non-empty string');
+    }
+    if (!pattern.includes('*')) { checkName(pattern); }
+  };
+
+  const matches = (pattern, name) => {
+    if (pattern === '*' || pattern === name) { return true; }
+
+    const patternParts = pattern.split(':');
+    const nameParts = name.split(':');
+    const last = patternParts.length - 1;
+
+    // '*' at the end matches the rest of the name, no matter how long
+    if (patternParts[last] === '*') {
+      if (nameParts.length < patternParts.length) { return false; }
+    } else if (nameParts.length !== patternParts.length) {
+      return false;
+    }
+
+    return patternParts.every((part, i) => part === '*' || part === nameParts[i]);
+  };
+
+  const remove = (entry) => {
+    listeners = listeners.filter((e) => e !== entry);
+  };
+
+  const on = function(pattern, listener, { priority = 0, once = false, signal } = {}) {
+    checkPattern(pattern);
+
+    if (typeof listener !== 'function') {
+      throw new TypeError('listener has to be a function');
+    }
+
+    const entry = { pattern, listener, priority, once, order: order++ };
+    const off = () => {
+      remove(entry);
+      if (signal) { signal.removeEventListener('abort', off); }
+    };
+
+    if (signal && signal.aborted) { return off; }
+
+    listeners.push(entry);
+    listeners.sort((a, b) => b.priority - a.priority || a.order - b.order);
+
+    if (signal) { signal.addEventListener('abort', off, { once: true }); }
+
+    entry.off = off;
+    return off;
+  };
+
+  const once = function(pattern, listener, options = {}) {
+    return on(pattern, listener, Object.assign({}, options, { once: true }));
+  };
+
+  // off(pattern, listener) removes one listener, off(pattern) all listeners
+  // of the pattern and off() all listeners at all
+  const off = function(pattern, listener) {
+    listeners
+      .filter((e) => (pattern === undefined || e.pattern === pattern) &&
+                     (listener === undefined || e.listener === listener))
+      .forEach((e) => { e.off(); });
+  };
+
+  // resolves with the list of errors thrown (or rejected) by the listeners,
+  // errors of the listeners never reject it, so nothing breaks if nobody waits
+  // for it. It rejects only when the name itself is wrong (nothing is called
+  // then), and it rejects rather than throws, so callers handle every failure
+  // of emit the same way.
+  const emit = function(name, payload) {
+    try {
+      checkName(name);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    // a copy, listeners may add or remove listeners while being called
+    const called = listeners.filter((e) => matches(e.pattern, name));
+    const errors = [];
+
+    const report = (error) => {
+      errors.push(error);
+      if (typeof onError === 'function') { onError(error, name); }
+    };
+
+    const pending = called.map((entry) => {
+      if (entry.once) { entry.off(); }
+
+      try {
+        return Promise.resolve(entry.listener(payload, name)).catch(report);
+      } catch (e) {
+        report(e);
+        return null;
+      }
+    });
+
+    return Promise.all(pending).then(() => errors);
+  };
+
+  const abortError = (signal) => signal.reason || Object.assign(new Error('aborted'), { name: 'AbortError' });
+
+  // promise of the payload of the next matching event
+  const next = function(pattern, { signal } = {}) {
+    checkPattern(pattern);
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortError(signal));
+        return;
+      }
+
+      const offEvent = once(pattern, (payload) => {
+        if (signal) { signal.removeEventListener('abort', onAbort); }
+        resolve(payload);
+      });
+
+      const onAbort = () => {
+        offEvent();
+        reject(abortError(signal));
+      };
+
+      if (signal) { signal.addEventListener('abort', onAbort, { once: true }); }
+    });
+  };
+
+  // async iterator of { name, payload } of the matching events, events that
+  // come while the consumer is busy wait in a queue, leaving the loop (or
+  // aborting the signal) removes the listener
+  const iterate = function(pattern, { signal } = {}) {
+    checkPattern(pattern);
+
+    const queue = [];
+    let waiting = null,
+        done = false;
+
+    const finish = () => {
+      if (done) { return; }
+      done = true;
+      offEvent();
+      if (signal) { signal.removeEventListener('abort', finish); }
+      if (waiting) {
+        waiting.resolve({ value: undefined, done: true });
+        waiting = null;
+      }
+    };
+
+    const offEvent = on(pattern, (payload, name) => {
+      if (waiting) {
+        waiting.resolve({ value: { name, payload }, done: false });
+        waiting = null;
+      } else {
+        queue.push({ name, payload });
+      }
+    });
+
+    if (signal) {
+      if (signal.aborted) {
+        finish();
+      } else {
+        signal.addEventListener('abort', finish, { once: true });
+      }
+    }
+
+    return {
+      next() {
+        if (queue.length > 0) { return Promise.resolve({ value: queue.shift(), done: false }); }
+        if (done) { return Promise.resolve({ value: undefined, done: true }); }
+
+        return new Promise((resolve) => { waiting = { resolve }; });
+      },
+      return() {
+        finish();
+        queue.length = 0;
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() { return this; }
+    };
+  };
+
+  const listenerCount = function(name) {
+    return name === undefined
+      ? listeners.length
+      : listeners.filter((e) => matches(e.pattern, name)).length;
+  };
+
+  return {
+    on,
+    once,
+    off,
+    emit,
+    next,
+    iterate,
+    listenerCount
+  };
+}
+
+// -----------------------------------------------------------------------------
+
+(async () => {
+
+  const events = createEmitter({
+    events: ['cart:add', 'cart:remove', 'cart:checkout', 'user:login']
+  });
+
+  // instead of $shoppingCart.addEventListener('click', ...)
+  events.on('cart:add', (item) => console.log(`added ${item.name}`));
+
+  // priorities, the validation runs before the other listeners
+  events.on('cart:add', (item) => {
+    if (item.price < 0) { throw new Error(`invalid price of ${item.name}`); }
+  }, { priority: 10 });
+
+  // wildcards
+  events.on('cart:*', (payload, name) => console.log(`cart event ${name}`));
+  events.on('*', (payload, name) => console.log(`[log] ${name}`), { priority: -1 });
+
+  await events.emit('cart:add', { name: 'book', price: 20 });
+  // <- prints added book, cart event cart:add, [log] cart:add
+
+  const errors = await events.emit('cart:add', { name: 'pen', price: -1 });
+  console.log(errors.map((e) => e.message));   // <- prints [ 'invalid price of pen' ]
+  // the other listeners were called anyway
+
+  // once and abort signal
+  events.once('user:login', (user) => console.log(`welcome ${user}`));
+
+  const controller = new AbortController();
+  events.on('cart:remove', () => console.log('removed'), { signal: controller.signal });
+  events.on('cart:checkout', () => console.log('checking out'), { signal: controller.signal });
+
+  await events.emit('user:login', 'Sue');      // <- prints welcome Sue, [log] user:login
+  await events.emit('user:login', 'Sue');      // <- prints [log] user:login
+
+  controller.abort();                          // removes both listeners at once
+  console.log(events.listenerCount('cart:remove'));  // <- prints 2 ('cart:*' and '*')
+
+  // asynchronous listeners, emit waits for all of them
+  events.on('cart:checkout', async () => {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    throw new Error('payment failed');
+  });
+
+  console.log((await events.emit('cart:checkout')).map((e) => e.message));
+  // <- prints cart event cart:checkout, [log] cart:checkout, [ 'payment failed' ]
+
+  // typo in the event name
+  try {
+    await events.emit('cart:ad', {});
+  } catch (e) {
+    console.log(e.message);  // <- prints unknown event "cart:ad", known events are: ...
+  }
+
+  // waiting for an event
+  setTimeout(() => events.emit('user:login', 'Bob'), 10);
+  console.log(await events.next('user:login'));  // <- prints Bob (after the log listener)
+
+  // consuming events in a loop
+  const quiet = createEmitter();
+
+  setTimeout(() => {
+    quiet.emit('tick', 1);
+    quiet.emit('tick', 2);
+    quiet.emit('tick', 3);
+    quiet.emit('done');
+  }, 10);
+
+  for await (const { name, payload } of quiet.iterate('*')) {
+    if (name === 'done') { break; }
+    console.log(`tick ${payload}`);   // <- prints tick 1, tick 2, tick 3
+  }
+
+  console.log(quiet.listenerCount());  // <- prints 0, leaving the loop removed the listener
+
+})();
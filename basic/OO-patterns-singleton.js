@@ -88,3 +88,321 @@
 // shouldn't be using global variables. Another one might be that we can't be sure,
 // ahead of time, whether we won't actually need to make multiple instances of that class
 // one day.
+
+// -----------------------------------------------------------------------------
+// GENERIC SINGLETON HELPER
+// Both approaches above are hard-coded into the constructor and neither of
+// them can ever be reset. That is exactly what makes singletons painful in
+// unit tests, the first test creates the instance and every other test gets
+// the same one, with whatever state the previous tests have left in it.
+
+// Instead of writing the check into every constructor, we can write it once
+// and wrap any constructor with it. While we are at it, let's add a few things
+// that the simple versions can't do:
+// - key: function that computes a key from the constructor arguments, we then
+//   get one instance per key (this is sometimes called "multiton"), by default
+//   every call maps to the same key, so we get a classic singleton
+// - dispose: hook called with (instance, key) when an instance is thrown away
+//   by "reset", if not provided, the instance's own "dispose" method is called
+//   (if it has one)
+// - freeze: 'shallow' or 'deep' freezes the instance so that code sharing
+//   it can't change it by accident (the problem mentioned in approach 2)
+// And scopes, every instance created inside of "runInScope" callback (even
+// in asynchronous code started from it) belongs to that scope only and is
+// disposed when the callback finishes. This is what we want for "one instance
+// per test" or "one instance per request". Scopes are tracked by Node's
+// AsyncLocalStorage which follows the asynchronous context for us.
+
+function singletonize(Ctor, { key = () => 'default', dispose, freeze = false } = {}) {
+  const { AsyncLocalStorage } = require('async_hooks');
+
+  // instances created outside of any scope
+  const globalInstances = new Map();
+  const scopes = new AsyncLocalStorage();
+
+  const currentInstances = () => scopes.getStore() || globalInstances;
+
+  const deepFreeze = (obj) => {
+    Object.freeze(obj);
+    Reflect.ownKeys(obj).forEach((prop) => {
+      const value = obj[prop];
+      if (value !== null && typeof value === 'object' && !Object.isFrozen(value)) {
+        deepFreeze(value);
+      }
+    });
+    return obj;
+  };
+
+  const disposeInstance = (instance, instanceKey) => {
+    if (typeof dispose === 'function') {
+      dispose(instance, instanceKey);
+    } else if (typeof instance.dispose === 'function') {
+      instance.dispose();
+    }
+  };
+
+  const disposeAll = (instances, instanceKey) => {
+    const keys = instanceKey === undefined ? Array.from(instances.keys()) : [instanceKey];
+
+    keys.filter((k) => instances.has(k)).forEach((k) => {
+      const instance = instances.get(k);
+      instances.delete(k);
+      disposeInstance(instance, k);
+    });
+  };
+
+  // can be called with or without "new", when a constructor returns an
+  // object, "new" returns that object instead of "this"
+  const Singleton = function(...args) {
+    const instances = currentInstances();
+    const instanceKey = key(...args);
+
+    if (instances.has(instanceKey)) {
+      return instances.get(instanceKey);
+    }
+
+    const instance = new Ctor(...args);
+
+    if (freeze === 'deep') {
+      deepFreeze(instance);
+    } else if (freeze) {
+      Object.freeze(instance);
+    }
+
+    instances.set(instanceKey, instance);
+    return instance;
+  };
+
+  Object.defineProperty(Singleton, 'name', { value: Ctor.name });
+  Singleton.prototype = Ctor.prototype;
+
+  Singleton.has = (instanceKey = key()) => currentInstances().has(instanceKey);
+  Singleton.keys = () => Array.from(currentInstances().keys());
+
+  // throws away (and disposes) the instance for the given key, or all of the
+  // instances of the current scope if no key is given
+  Singleton.reset = (instanceKey) => { disposeAll(currentInstances(), instanceKey); };
+
+  Singleton.runInScope = (callback) => {
+    const instances = new Map();
+    const done = () => { disposeAll(instances); };
+
+    let result;
+    try {
+      result = scopes.run(instances, callback);
+    } catch (e) {
+      done();
+      throw e;
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        (value) => { done(); return value; },
+        (e) => { done(); throw e; }
+      );
+    }
+
+    done();
+    return result;
+  };
+
+  return Singleton;
+}
+
+(() => {
+
+  function Config(env = 'production') {
+    this.env = env;
+    this.options = { retries: 3 };
+  }
+
+  // classic singleton that can be reset
+  const SingleConfig = singletonize(Config, { freeze: 'deep' });
+
+  const config1 = new SingleConfig();
+  const config2 = SingleConfig();
+
+  console.log(config1 === config2);            // <- true
+  console.log(config1 instanceof Config);      // <- true
+
+  config1.options.retries = 100;               // ignored, the instance is frozen
+  console.log(config2.options.retries);        // <- 3
+
+  SingleConfig.reset();
+  console.log(SingleConfig() === config1);     // <- false
+
+  // one instance per key (multiton)
+  function Connection(host) {
+    this.host = host;
+    this.open = true;
+  }
+  Connection.prototype.dispose = function() { this.open = false; };
+
+  const Connections = singletonize(Connection, { key: (host) => host });
+
+  const db1 = Connections('db-1');
+  const db2 = Connections('db-2');
+
+  console.log(Connections('db-1') === db1);    // <- true
+  console.log(db1 === db2);                    // <- false
+  console.log(Connections.keys());             // <- [ 'db-1', 'db-2' ]
+
+  Connections.reset('db-1');
+  console.log(db1.open);                       // <- false, disposed
+  console.log(db2.open);                       // <- true
+
+  // scoped instances, e.g. one per test
+  const runTest = (name) => Connections.runInScope(async () => {
+    const conn = Connections('db-1');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    // still the same scope after "await"
+    console.log(name, Connections('db-1') === conn);   // <- true
+    return conn;
+  });
+
+  Promise.all([runTest('test 1'), runTest('test 2')]).then(([conn1, conn2]) => {
+    console.log(conn1 === conn2);                // <- false, each test had its own
+    console.log(conn1.open, conn2.open);         // <- false false, disposed with the scope
+    console.log(Connections('db-2') === db2);    // <- true, global instance is untouched
+  });
+
+})();
+
+// -----------------------------------------------------------------------------
+// ASYNCHRONOUS SINGLETON
+// The closure singleton from approach 2 creates its instance synchronously,
+// right in the constructor. But objects that we usually want to have only once,
+// like configuration loaded from a file or a database connection, need some
+// asynchronous setup first. And here the naive version breaks, if two callers
+// ask for the instance at the same time, both of them see that there is no
+// instance yet and both of them start the initialization.
+
+// The solution is to store the promise of the instance, not the instance
+// itself, as soon as the initialization starts. Everyone who comes while it is
+// running gets the same promise. If the initialization fails, we forget the
+// promise (so that the next caller can try again), and we can retry it a few
+// times before giving up:
+// - retries: how many times to retry failed initialization (default 0)
+// - delay: milliseconds to wait before the first retry (default 0)
+// - factor: multiplier of the delay for every next retry (default 2)
+// - shouldRetry: callback (error, attempt) deciding whether the error is
+//   worth retrying (default: every error is)
+// The current state is one of 'uninitialized', 'initializing', 'ready' or
+// 'failed'.
+
+function createAsyncSingleton(initialize, { retries = 0, delay = 0, factor = 2, shouldRetry = () => true } = {}) {
+  let state = 'uninitialized',
+      instance,
+      lastError,
+      pending = null,
+      // incremented by reset so that an initialization started before
+      // the reset can't overwrite the state after it
+      generation = 0;
+
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  const attempt = async (attemptNo) => {
+    try {
+      return await initialize(attemptNo);
+    } catch (e) {
+      if (attemptNo >= retries || !shouldRetry(e, attemptNo)) { throw e; }
+
+      await wait(delay * Math.pow(factor, attemptNo));
+      return attempt(attemptNo + 1);
+    }
+  };
+
+  return {
+    get() {
+      if (state === 'ready') { return Promise.resolve(instance); }
+      if (pending) { return pending; }
+
+      const current = generation;
+      state = 'initializing';
+
+      pending = attempt(0).then((value) => {
+        if (current === generation) {
+          instance = value;
+          state = 'ready';
+          pending = null;
+        }
+        return value;
+      }, (e) => {
+        if (current === generation) {
+          lastError = e;
+          state = 'failed';
+          pending = null;
+        }
+        throw e;
+      });
+
+      return pending;
+    },
+
+    // the instance if it is ready, undefined otherwise (never waits)
+    peek() { return state === 'ready' ? instance : undefined; },
+
+    reset() {
+      generation += 1;
+      state = 'uninitialized';
+      instance = undefined;
+      lastError = undefined;
+      pending = null;
+    },
+
+    get state() { return state; },
+    get error() { return lastError; }
+  };
+}
+
+(() => {
+
+  let connections = 0;
+
+  // fails the first two times, as a flaky network would
+  const connection = createAsyncSingleton((attemptNo) => new Promise((resolve, reject) => {
+    setTimeout(() => {
+      if (attemptNo < 2) {
+        reject(new Error(`connection refused (attempt ${attemptNo})`));
+      } else {
+        connections += 1;
+        resolve({ id: connections });
+      }
+    }, 10);
+  }), { retries: 3, delay: 5 });
+
+  console.log(connection.state);    // <- uninitialized
+
+  const first = connection.get();
+  const second = connection.get();
+
+  console.log(connection.state);    // <- initializing
+  console.log(first === second);    // <- true, the same in-flight promise
+
+  Promise.all([first, second]).then(([conn1, conn2]) => {
+    console.log(conn1 === conn2);       // <- true
+    console.log(connections);           // <- 1, initialized only once
+    console.log(connection.state);      // <- ready
+    console.log(connection.peek());     // <- { id: 1 }
+  });
+
+  // without retries, failure is remembered in the state, and the next "get"
+  // tries again
+  let calls = 0;
+  const config = createAsyncSingleton(async () => {
+    calls += 1;
+    if (calls === 1) { throw new Error('config file is locked'); }
+    return { env: 'production' };
+  });
+
+  config.get()
+    .catch((e) => {
+      console.log(config.state, e.message);   // <- failed config file is locked
+      return config.get();
+    })
+    .then((value) => {
+      console.log(config.state, value);       // <- ready { env: 'production' }
+    });
+
+})();
@@ -155,6 +155,230 @@
 
 // We will talk about Object.assign method in the next section.
 
+// --------------------------------------------------------------------------
+// DEEP COPY - CYCLES, SHARED REFERENCES AND BUILT-IN TYPES
+// Our "deepCopy" function works for plain objects and arrays, but it is far
+// from something that we could use in a real application. Let's see where it
+// breaks:
+// - "typeof null" is "object", so "new source.constructor()" crashes on null
+// - an object that (directly or indirectly) contains itself sends the recursion
+//   into an infinite loop until we run out of the call stack
+// - if two properties point to the same object, we get two different copies
+//   instead of one copy that is shared in the same way
+// - Date, RegExp, Map, Set, typed arrays, ArrayBuffer and Error objects keep
+//   their data in internal slots, not in own properties, so calling their
+//   constructor and copying own properties produces an empty (or broken) object
+// - symbol keys, non-enumerable properties, getters/setters and frozen objects
+//   are all lost because we use plain assignment
+//
+// The fix for the first three problems is to remember every object that we have
+// already copied (together with its copy) and to reuse that copy whenever we
+// meet the same object again. That way cycles simply point back to the copy
+// that is being built and shared references stay shared. Note that we have to
+// store the copy before we start copying its properties, otherwise a property
+// pointing back to its owner would not find it.
+//
+// For the built-in types, we have to create the copy from the internal data
+// (e.g. the time of a Date), and for everything else we copy property
+// descriptors instead of values, so that getters, setters and property flags
+// survive. This is roughly what the "structured clone" algorithm used by
+// "structuredClone" and "postMessage" does, with two differences: we keep the
+// prototype of copied objects and we share functions instead of throwing,
+// because methods are exactly what we want to reuse when mixing objects.
+
+function deepClone(source) {
+  // original object -> its copy
+  const seen = new Map();
+
+  const cloneTypedArray = (typedArray) => {
+    // views over the same buffer have to stay views over the same (copied) buffer
+    const buffer = clone(typedArray.buffer);
+
+    if (typedArray instanceof DataView) {
+      return new DataView(buffer, typedArray.byteOffset, typedArray.byteLength);
+    }
+    return new typedArray.constructor(buffer, typedArray.byteOffset, typedArray.length);
+  };
+
+  const createCopy = (value) => {
+    if (value instanceof Date) { return new Date(value.getTime()); }
+
+    if (value instanceof RegExp) {
+      const regExp = new RegExp(value.source, value.flags);
+      regExp.lastIndex = value.lastIndex;
+      return regExp;
+    }
+
+    if (value instanceof ArrayBuffer) { return value.slice(0); }
+    if (ArrayBuffer.isView(value)) { return cloneTypedArray(value); }
+
+    // Map and Set are filled later, once the copy is registered in "seen",
+    // because their entries may point back to the collection itself
+    if (value instanceof Map) { return new Map(); }
+    if (value instanceof Set) { return new Set(); }
+
+    if (value instanceof Boolean || value instanceof Number || value instanceof String) {
+      return Object(value.valueOf());
+    }
+
+    if (value instanceof WeakMap || value instanceof WeakSet || value instanceof Promise) {
+      throw new TypeError(`${value.constructor.name} object could not be cloned`);
+    }
+
+    if (Array.isArray(value)) { return new Array(value.length); }
+
+    // plain objects, class instances and Errors (message and stack are own
+    // properties of an Error so they are copied with the rest of the properties)
+    return Object.create(Object.getPrototypeOf(value));
+  };
+
+  const copyProperties = (value, copy) => {
+    const isTypedArray = ArrayBuffer.isView(value) && !(value instanceof DataView);
+
+    Reflect.ownKeys(value).forEach((key) => {
+      // indexes of typed arrays (and wrapped strings) live in the internal data
+      // that we have already copied
+      if ((isTypedArray || value instanceof String) && typeof key === 'string' &&
+          String(Number(key)) === key) {
+        return;
+      }
+
+      const descriptor = Object.getOwnPropertyDescriptor(value, key);
+
+      // getters and setters are functions so they are shared, only data
+      // properties hold values that need copying
+      if ('value' in descriptor) {
+        descriptor.value = clone(descriptor.value);
+      }
+
+      Object.defineProperty(copy, key, descriptor);
+    });
+  };
+
+  // originals whose copies are created but still empty. Copies are filled
+  // one by one from this list instead of recursively, so a long chain of
+  // objects (e.g. a linked list) doesn't run out of the call stack.
+  const pending = [];
+
+  const clone = (value) => {
+    // primitives (null included) and functions are returned as they are
+    if (value === null || typeof value !== 'object') { return value; }
+
+    if (seen.has(value)) { return seen.get(value); }
+
+    const copy = createCopy(value);
+    seen.set(value, copy);
+    pending.push(value);
+
+    return copy;
+  };
+
+  const fill = (value, copy) => {
+    if (value instanceof Map) {
+      value.forEach((entry, key) => { copy.set(clone(key), clone(entry)); });
+    }
+
+    if (value instanceof Set) {
+      value.forEach((entry) => { copy.add(clone(entry)); });
+    }
+
+    copyProperties(value, copy);
+
+    if (Object.isFrozen(value)) {
+      Object.freeze(copy);
+    } else if (Object.isSealed(value)) {
+      Object.seal(copy);
+    } else if (!Object.isExtensible(value)) {
+      Object.preventExtensions(copy);
+    }
+  };
+
+  const result = clone(source);
+
+  while (pending.length > 0) {
+    const value = pending.pop();
+    fill(value, seen.get(value));
+  }
+
+  return result;
+}
+
+// "deepClone" is declared on the top level of this file (not inside of an IIFE)
+// so that the following sections can reuse it.
+
+(() => {
+
+  // null and primitives
+  console.log(deepClone(null));                  // <- null
+  console.log(deepClone({ a: null }));           // <- { a: null }
+
+  // cycles
+  const node = { name: 'root', children: [] };
+  node.children.push({ name: 'child', parent: node });
+  node.self = node;
+
+  const nodeCopy = deepClone(node);
+
+  console.log(nodeCopy === node);                          // <- false
+  console.log(nodeCopy.self === nodeCopy);                 // <- true
+  console.log(nodeCopy.children[0].parent === nodeCopy);   // <- true
+
+  // shared references stay shared, but only inside of the copy
+  const address = { city: 'Malmo' };
+  const couple = { sue: { address }, bob: { address } };
+
+  const coupleCopy = deepClone(couple);
+
+  console.log(coupleCopy.sue.address === coupleCopy.bob.address);   // <- true
+  console.log(coupleCopy.sue.address === address);                  // <- false
+
+  // built-in types
+  const buffer = new ArrayBuffer(4);
+  const original = {
+    created: new Date(2018, 0, 1),
+    pattern: /ab+c/gi,
+    tags: new Set(['js', 'patterns']),
+    scores: new Map([['sue', 10], ['bob', 7]]),
+    bytes: new Uint8Array(buffer),
+    words: new Uint16Array(buffer),
+    error: new RangeError('out of range')
+  };
+
+  const copy = deepClone(original);
+
+  console.log(copy.created.getFullYear());          // <- 2018
+  console.log(copy.pattern.test('ABBC'));           // <- true
+  console.log(copy.tags.has('js'));                 // <- true
+  console.log(copy.scores.get('sue'));              // <- 10
+  console.log(copy.bytes.buffer === copy.words.buffer);   // <- true
+  console.log(copy.bytes.buffer === buffer);        // <- false
+  console.log(copy.error instanceof RangeError);    // <- true
+  console.log(copy.error.message);                  // <- out of range
+
+  copy.bytes[0] = 255;
+  console.log(copy.words[0]);                       // <- 255 (on little endian machines)
+  console.log(original.bytes[0]);                   // <- 0
+
+  // symbols, getters and property flags
+  const id = Symbol('id');
+  const person = {
+    [id]: 42,
+    first: 'Sue',
+    last: 'Smith',
+    get fullName() { return `${this.first} ${this.last}`; }
+  };
+  Object.defineProperty(person, 'secret', { value: 'hidden', enumerable: false });
+
+  const personCopy = deepClone(person);
+  personCopy.first = 'Bob';
+
+  console.log(personCopy[id]);                      // <- 42
+  console.log(personCopy.fullName);                 // <- Bob Smith
+  console.log(personCopy.secret);                   // <- hidden
+  console.log(Object.keys(personCopy));             // <- [ 'first', 'last', 'fullName' ]
+
+})();
+
 // --------------------------------------------------------------------------
 // MIXIN PATTERN - COMBINING MULTIPLE OBJECTS TOGETHER
 // It the previous section, we have looked on how we can make a copy of some
@@ -257,3 +481,1197 @@
 
 // If we now add some additional value to sue.sports, the original "hobbies"
 // object stays unmodified.
+
+// --------------------------------------------------------------------------
+// DEEP MIXIN - MERGE STRATEGIES AND CONFLICT REPORTING
+// Our "mixin" still behaves exactly like Object.assign when two sources have
+// a property with the same name, the later one wins and the former one is gone.
+// That is fine for "state" and "city" but if both sources had an "address"
+// object with different properties, we would probably want to merge those
+// objects instead of throwing one of them away. The same goes for arrays,
+// sometimes we want to replace them, sometimes we want to add the new entries
+// to the old ones.
+
+// So let's build a function that creates a configured mixin function. The
+// options are:
+// - arrays: how to combine two arrays found under the same key. Either one of
+//   'replace' (default), 'concat' or 'union' for all arrays, or an object that
+//   maps paths (e.g. 'hobbies.sports') to those strategies
+// - resolve: callback that is asked first whenever two sources collide, it
+//   receives description of the collision and returns the value to use (or
+//   undefined to let the default rules decide)
+// - onConflict: callback that is notified about each collision, which path it
+//   was, which sources collided and which one won, so that we can see where
+//   the values of our final object came from
+// Nested plain objects are merged recursively and every value is copied using
+// "deepClone" from the previous sections, so the result shares nothing with
+// the sources.
+
+function createMixin({ arrays = 'replace', resolve, onConflict } = {}) {
+
+  const isPlainObject = (value) => {
+    if (value === null || typeof value !== 'object') { return false; }
+
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+  };
+
+  const arrayStrategyFor = (path) => {
+    const strategy = typeof arrays === 'string' ? arrays : (arrays[path] || 'replace');
+
+    if (!['replace', 'concat', 'union'].includes(strategy)) {
+      throw new TypeError(`unknown array strategy "${strategy}" for "${path}"`);
+    }
+    return strategy;
+  };
+
+  // defineProperty instead of assignment, so that a '__proto__' key (e.g.
+  // from JSON.parse) becomes a property and doesn't replace the prototype
+  const define = (obj, key, value) => {
+    Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+  };
+
+  // nested objects are merged into a fresh copy, the one made by deepClone
+  // keeps the frozen (or sealed) state of its source and can't take the
+  // incoming properties
+  const unlocked = (obj) => {
+    const copy = Object.create(Object.getPrototypeOf(obj));
+
+    Reflect.ownKeys(obj).forEach((key) => {
+      const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+      if ('value' in descriptor) { descriptor.writable = true; }
+      descriptor.configurable = true;
+      Object.defineProperty(copy, key, descriptor);
+    });
+    return copy;
+  };
+
+  const combineArrays = (current, incoming, strategy) => {
+    if (strategy === 'concat') { return [...current, ...incoming]; }
+    if (strategy === 'union') { return Array.from(new Set([...current, ...incoming])); }
+    return incoming;
+  };
+
+  return function mixin(...sources) {
+    const result = {};
+    // path -> index of the source that the value at this path came from
+    const origins = new Map();
+
+    // a value copied as a whole (e.g. nested object) doesn't have its
+    // sub-paths recorded, so we look for the closest recorded parent
+    const originOf = (path) => {
+      for (let p = path; p; p = p.slice(0, Math.max(p.lastIndexOf('.'), 0))) {
+        if (origins.has(p)) { return origins.get(p); }
+      }
+      return undefined;
+    };
+
+    const report = (conflict) => {
+      if (typeof onConflict === 'function') { onConflict(conflict); }
+    };
+
+    const mergeInto = (target, source, sourceIndex, parentPath) => {
+      Reflect.ownKeys(source).forEach((key) => {
+        const path = parentPath ? `${parentPath}.${String(key)}` : String(key);
+        const incoming = deepClone(source[key]);
+
+        if (!Object.prototype.hasOwnProperty.call(target, key)) {
+          define(target, key, incoming);
+          origins.set(path, sourceIndex);
+          return;
+        }
+
+        const current = target[key];
+        const previousSource = originOf(path);
+
+        if (typeof resolve === 'function') {
+          const resolved = resolve({ key, path, current, incoming, previousSource, sourceIndex });
+
+          if (resolved !== undefined) {
+            define(target, key, resolved);
+            origins.set(path, sourceIndex);
+            report({ path, sources: [previousSource, sourceIndex], winner: 'resolver' });
+            return;
+          }
+        }
+
+        // objects are not a conflict on their own, only their colliding
+        // properties are (those are reported from the recursive call)
+        if (isPlainObject(current) && isPlainObject(incoming)) {
+          const merged = unlocked(current);
+
+          define(target, key, merged);
+          mergeInto(merged, incoming, sourceIndex, path);
+          return;
+        }
+
+        if (Array.isArray(current) && Array.isArray(incoming)) {
+          const strategy = arrayStrategyFor(path);
+
+          define(target, key, combineArrays(current, incoming, strategy));
+          origins.set(path, sourceIndex);
+          report({
+            path,
+            sources: [previousSource, sourceIndex],
+            winner: strategy === 'replace' ? sourceIndex : strategy
+          });
+          return;
+        }
+
+        define(target, key, incoming);
+        origins.set(path, sourceIndex);
+        report({ path, sources: [previousSource, sourceIndex], winner: sourceIndex });
+      });
+    };
+
+    sources.forEach((source, index) => { mergeInto(result, source, index, ''); });
+
+    return result;
+  };
+}
+
+(() => {
+
+  const identity = { name: 'Sue', username: 'Sue123' };
+  const address = { address: { state: 'Alaska', city: 'Noma', zip: '99762' } };
+  const anotherAddress = { address: { state: 'Sweden', city: 'Malmo' } };
+  const hobbies = { hobbies: { sports: ['skying', 'swimming'], music: ['jazz'] } };
+  const moreHobbies = { hobbies: { sports: ['swimming', 'tennis'], music: ['rock'] } };
+
+  const conflicts = [];
+
+  const mixin = createMixin({
+    arrays: { 'hobbies.sports': 'union', 'hobbies.music': 'concat' },
+    onConflict(conflict) { conflicts.push(conflict); }
+  });
+
+  const sue = mixin(identity, address, anotherAddress, hobbies, moreHobbies);
+
+  console.log(sue.address);         // <- { state: 'Sweden', city: 'Malmo', zip: '99762' }
+  console.log(sue.hobbies.sports);  // <- [ 'skying', 'swimming', 'tennis' ]
+  console.log(sue.hobbies.music);   // <- [ 'jazz', 'rock' ]
+  console.log(conflicts);
+  // <- [ { path: 'address.state', sources: [ 1, 2 ], winner: 2 },
+  //      { path: 'address.city', sources: [ 1, 2 ], winner: 2 },
+  //      { path: 'hobbies.sports', sources: [ 3, 4 ], winner: 'union' },
+  //      { path: 'hobbies.music', sources: [ 3, 4 ], winner: 'concat' } ]
+
+  // the sources stay untouched
+  sue.hobbies.sports.push('golf');
+  console.log(hobbies.hobbies.sports);  // <- [ 'skying', 'swimming' ]
+
+  // and if the rules are not enough, the resolver decides, here we want to
+  // keep the first city that we have seen
+  const keepFirstCity = createMixin({
+    resolve({ path, current }) {
+      return path === 'address.city' ? current : undefined;
+    }
+  });
+
+  console.log(keepFirstCity(address, anotherAddress).address);
+  // <- { state: 'Sweden', city: 'Noma', zip: '99762' }
+
+  // keys from untrusted JSON stay plain properties
+  const sneaky = JSON.parse('{ "__proto__": { "isAdmin": true } }');
+  console.log(createMixin()({}, sneaky).isAdmin);   // <- undefined
+
+  // frozen sources are fine, their objects are merged into new ones
+  const frozen = { address: Object.freeze({ city: 'Noma', zip: '99762' }) };
+  console.log(createMixin()(frozen, { address: { city: 'Malmo' } }).address);
+  // <- { city: 'Malmo', zip: '99762' }
+
+})();
+
+// --------------------------------------------------------------------------
+// STRUCTURAL DIFF AND JSON PATCH
+// Throughout this file, we have compared the original object with its copy
+// either by "===" (which only tells us whether it is the same object) or by
+// printing both of them and looking for the differences ourselves. Let's
+// make the computer do the looking and describe the differences as a list
+// of operations that turn the first object into the second one.
+
+// There is a standard for such lists, JSON Patch (RFC 6902). Every operation
+// is an object with "op" (add, remove, replace, move, copy or test), "path"
+// to the value that it changes and, depending on the operation, "value" or
+// "from". Paths are JSON Pointers (RFC 6901), the keys from the root
+// separated by slashes, '/hobbies/sports/2' is the third sport, '' is the
+// whole object, and '~' and '/' inside of the keys are written as '~0' and
+// '~1'. The last segment of an array path may be '-', which means "after
+// the last item".
+
+// jsonPatch.diff(before, after) returns such a list and we can do more with it:
+// - jsonPatch.apply(document, patch) applies it to a copy of the document
+//   (made by "deepClone"), so if one of the operations fails, the document
+//   stays as it was
+// - jsonPatch.invert(patch, document) returns the patch that undoes the
+//   patch, the operations don't carry the old values, so it needs the
+//   document that the patch is applied to
+// - jsonPatch.render(patch, document) describes the patch in lines that a
+//   human can read, '+' added, '-' removed, '~' replaced, '>' moved
+// Arrays are compared item by item, using the longest common subsequence
+// (the longest list of items that stays in the same order in both arrays),
+// so that inserting one item at the beginning is one "add" and not a
+// "replace" of every item. Maps with string keys are compared key by key
+// (the keys are the path segments) and Sets, whose members can't be pointed
+// to, are replaced as a whole. Cycles are fine, a pair of objects that is
+// already being compared is not compared again.
+
+const jsonPatch = (function() {
+
+  const { inspect } = require('util');
+
+  const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+  const escape = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+  const unescape = (segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~');
+
+  const toPointer = (segments) => segments.map((segment) => `/${escape(segment)}`).join('');
+
+  const parsePointer = (pointer) => {
+    if (pointer === '') { return []; }
+    if (typeof pointer !== 'string' || pointer[0] !== '/') {
+      throw new TypeError(`invalid JSON Pointer "${pointer}"`);
+    }
+    return pointer.slice(1).split('/').map(unescape);
+  };
+
+  // objects with internal data (Date, RegExp, binary data, wrapped
+  // primitives) are compared as single values, like primitives
+  const kindOf = (value) => {
+    if (value === null || typeof value !== 'object') { return 'value'; }
+    if (Array.isArray(value)) { return 'array'; }
+    if (value instanceof Map) { return 'map'; }
+    if (value instanceof Set) { return 'set'; }
+    if (value instanceof Date || value instanceof RegExp || value instanceof ArrayBuffer ||
+        ArrayBuffer.isView(value) || value instanceof Boolean || value instanceof Number ||
+        value instanceof String) {
+      return 'value';
+    }
+    return 'object';
+  };
+
+  const bytesOf = (value) => (value instanceof ArrayBuffer
+    ? new Uint8Array(value)
+    : new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+
+  const valuesEqual = (a, b) => {
+    if (Object.is(a, b)) { return true; }
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') { return false; }
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) { return false; }
+
+    if (a instanceof Date) { return Object.is(a.getTime(), b.getTime()); }
+    if (a instanceof RegExp) { return String(a) === String(b); }
+    if (a instanceof ArrayBuffer || ArrayBuffer.isView(a)) {
+      const bytesA = bytesOf(a),
+            bytesB = bytesOf(b);
+      return bytesA.length === bytesB.length && bytesA.every((byte, i) => byte === bytesB[i]);
+    }
+    return Object.is(a.valueOf(), b.valueOf());
+  };
+
+  const onlyStringKeys = (map) => Array.from(map.keys()).every((key) => typeof key === 'string');
+
+  const diff = function(before, after) {
+    const patch = [];
+    // before -> Set of the "after" objects that it is (being) compared with
+    const comparing = new Map();
+    const same = sameness();
+
+    const replace = (path, value) => { patch.push({ op: 'replace', path: toPointer(path), value: deepClone(value) }); };
+
+    const walk = (a, b, path) => {
+      if (Object.is(a, b)) { return; }
+
+      const kind = kindOf(a);
+
+      if (kind !== kindOf(b) || (kind !== 'value' && Object.getPrototypeOf(a) !== Object.getPrototypeOf(b))) {
+        replace(path, b);
+        return;
+      }
+
+      if (kind === 'value') {
+        if (!valuesEqual(a, b)) { replace(path, b); }
+        return;
+      }
+
+      if (!comparing.has(a)) { comparing.set(a, new Set()); }
+      if (comparing.get(a).has(b)) { return; }
+      comparing.get(a).add(b);
+
+      if (kind === 'array') {
+        diffArrays(a, b, path);
+      } else if (kind === 'set') {
+        if (!same(a, b)) { replace(path, b); }
+      } else if (kind === 'map' && !(onlyStringKeys(a) && onlyStringKeys(b))) {
+        if (!same(a, b)) { replace(path, b); }
+      } else {
+        diffKeys(a, b, path, kind === 'map'
+          ? { keys: (m) => Array.from(m.keys()), has: (m, k) => m.has(k), get: (m, k) => m.get(k) }
+          : { keys: Object.keys, has, get: (o, k) => o[k] });
+      }
+    };
+
+    const diffKeys = (a, b, path, { keys, has: hasKey, get }) => {
+      keys(a).forEach((key) => {
+        if (hasKey(b, key)) {
+          walk(get(a, key), get(b, key), [...path, key]);
+        } else {
+          patch.push({ op: 'remove', path: toPointer([...path, key]) });
+        }
+      });
+
+      keys(b).filter((key) => !hasKey(a, key)).forEach((key) => {
+        patch.push({ op: 'add', path: toPointer([...path, key]), value: deepClone(get(b, key)) });
+      });
+    };
+
+    const diffArrays = (a, b, path) => {
+      // the same items at the beginning and at the end are skipped, the
+      // longest common subsequence is computed only for the middle part
+      let start = 0,
+          endA = a.length,
+          endB = b.length;
+
+      while (start < endA && start < endB && same(a[start], b[start])) { start += 1; }
+      while (endA > start && endB > start && same(a[endA - 1], b[endB - 1])) {
+        endA -= 1;
+        endB -= 1;
+      }
+
+      const n = endA - start,
+            m = endB - start;
+
+      // the table below has n * m cells, for long arrays that differ a lot
+      // it is too slow (and too big), so the items are just compared at the
+      // same indexes and the rest is removed or added at the end
+      if (n * m > maxLCSCells) {
+        const common = Math.min(n, m);
+
+        for (let k = 0; k < common; k++) {
+          walk(a[start + k], b[start + k], [...path, start + k]);
+        }
+        for (let k = common; k < n; k++) {
+          patch.push({ op: 'remove', path: toPointer([...path, start + common]) });
+        }
+        for (let k = common; k < m; k++) {
+          patch.push({ op: 'add', path: toPointer([...path, start + k]), value: deepClone(b[start + k]) });
+        }
+        return;
+      }
+
+      const matches = Array.from({ length: n }, (_, i) =>
+        Array.from({ length: m }, (__, j) => same(a[start + i], b[start + j])));
+
+      // lengths[i][j] is the length of the longest common subsequence of the
+      // rest of the arrays, starting at a[start + i] and b[start + j]
+      const lengths = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+      for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+          lengths[i][j] = matches[i][j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+      }
+
+      // runs of removed and inserted items between the kept ones, an item
+      // removed and an item inserted at the same place are compared with
+      // each other, so a changed object becomes a change of its property
+      // instead of a removal and an addition of the whole object
+      const runs = [];
+      let run = { removed: [], inserted: [] };
+
+      for (let i = 0, j = 0; i < n || j < m;) {
+        if (i < n && j < m && matches[i][j]) {
+          runs.push(run);
+          run = { removed: [], inserted: [] };
+          i += 1;
+          j += 1;
+        } else if (j < m && (i === n || lengths[i][j + 1] >= lengths[i + 1][j])) {
+          run.inserted.push(b[start + j]);
+          j += 1;
+        } else {
+          run.removed.push(a[start + i]);
+          i += 1;
+        }
+      }
+      runs.push(run);
+
+      // operations are applied one after another, so "index" is the position
+      // in the array as it is after the previous operations
+      let index = start;
+
+      runs.forEach(({ removed, inserted }, r) => {
+        const paired = Math.min(removed.length, inserted.length);
+
+        for (let k = 0; k < paired; k++) {
+          walk(removed[k], inserted[k], [...path, index]);
+          index += 1;
+        }
+        removed.slice(paired).forEach(() => {
+          patch.push({ op: 'remove', path: toPointer([...path, index]) });
+        });
+        inserted.slice(paired).forEach((value) => {
+          patch.push({ op: 'add', path: toPointer([...path, index]), value: deepClone(value) });
+          index += 1;
+        });
+
+        // the kept item that follows the run
+        if (r < runs.length - 1) { index += 1; }
+      });
+    };
+
+    walk(before, after, []);
+    return patch;
+  };
+
+  // sameness(), whether a diff of two values would be empty, without making
+  // it. Arrays compare many pairs of items (and the same items of nested
+  // arrays again and again), so every pair is compared only once and the
+  // result is remembered for the rest of the diff. A pair that is being
+  // compared is taken as the same (that's how cycles end), a pair that turns
+  // out different forgets the pairs found the same inside of it, because
+  // they might be the same only thanks to it.
+  const sameness = function() {
+    // a -> Map of b -> true or false
+    const results = new Map();
+    // pairs taken as the same, in the order in which they were added
+    const pairs = [];
+
+    const remember = (a, b, result) => {
+      if (!results.has(a)) { results.set(a, new Map()); }
+      results.get(a).set(b, result);
+    };
+
+    const same = (a, b) => {
+      if (Object.is(a, b)) { return true; }
+
+      const kind = kindOf(a);
+
+      if (kind !== kindOf(b)) { return false; }
+      if (kind === 'value') { return valuesEqual(a, b); }
+      if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) { return false; }
+      if (results.has(a) && results.get(a).has(b)) { return results.get(a).get(b); }
+
+      const mark = pairs.length;
+
+      remember(a, b, true);
+      pairs.push([a, b]);
+
+      const result = compare(a, b, kind);
+
+      if (!result) {
+        pairs.splice(mark).forEach(([x, y]) => { results.get(x).delete(y); });
+        remember(a, b, false);
+      }
+      return result;
+    };
+
+    const compare = (a, b, kind) => {
+      if (kind === 'array') {
+        return a.length === b.length && a.every((item, i) => same(item, b[i]));
+      }
+      if (kind === 'set') {
+        return a.size === b.size && Array.from(a).every((member) =>
+          b.has(member) || (member !== null && typeof member === 'object' &&
+                            Array.from(b).some((other) => same(member, other))));
+      }
+      if (kind === 'map') {
+        return a.size === b.size &&
+          Array.from(a).every(([key, value]) => b.has(key) && same(value, b.get(key)));
+      }
+
+      const keysA = Object.keys(a);
+      return keysA.length === Object.keys(b).length &&
+        keysA.every((key) => has(b, key) && same(a[key], b[key]));
+    };
+
+    return same;
+  };
+
+  const isSame = (a, b) => sameness()(a, b);
+
+  // above this many pairs of items, arrays are diffed index by index
+  const maxLCSCells = 250000;
+
+  // APPLYING
+
+  const toIndex = (container, key, max) => {
+    if (!/^(0|[1-9]\d*)$/.test(key) || Number(key) > max) {
+      throw new Error(`index "${key}" is out of bounds of an array of length ${container.length}`);
+    }
+    return Number(key);
+  };
+
+  const read = (container, key) => {
+    switch (kindOf(container)) {
+      case 'array':
+        return container[toIndex(container, key, container.length - 1)];
+      case 'map':
+        if (!container.has(key)) { throw new Error(`key "${key}" not found`); }
+        return container.get(key);
+      case 'object':
+        // only own properties, a path never leads to a prototype
+        if (!has(container, key)) { throw new Error(`property "${key}" not found`); }
+        return container[key];
+      default:
+        throw new Error(`can't look for "${key}" inside of ${inspect(container)}`);
+    }
+  };
+
+  // defineProperty, so that a '__proto__' key creates a property and
+  // doesn't change the prototype
+  const define = (obj, key, value) => {
+    Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+  };
+
+  // returns the key where the value was placed and the value that it has
+  // replaced (if there was one)
+  const insert = (container, key, value) => {
+    switch (kindOf(container)) {
+      case 'array': {
+        const index = key === '-' ? container.length : toIndex(container, key, container.length);
+        container.splice(index, 0, value);
+        return { key: String(index), existed: false };
+      }
+      case 'map': {
+        const existed = container.has(key),
+              old = container.get(key);
+        container.set(key, value);
+        return { key, existed, old };
+      }
+      case 'object': {
+        const existed = has(container, key),
+              old = container[key];
+        define(container, key, value);
+        return { key, existed, old };
+      }
+      default:
+        throw new Error(`can't add "${key}" to ${inspect(container)}`);
+    }
+  };
+
+  const remove = (container, key) => {
+    const old = read(container, key);
+
+    if (Array.isArray(container)) {
+      container.splice(Number(key), 1);
+    } else if (container instanceof Map) {
+      container.delete(key);
+    } else {
+      delete container[key];
+    }
+    return old;
+  };
+
+  const replace = (container, key, value) => {
+    const old = read(container, key);
+
+    if (Array.isArray(container)) {
+      container[Number(key)] = value;
+    } else if (container instanceof Map) {
+      container.set(key, value);
+    } else {
+      define(container, key, value);
+    }
+    return old;
+  };
+
+  // the document is kept in a holder object as its 'root' property, so
+  // that the operations on the whole document (path '') work the same way
+  // as the operations on its parts
+  const locate = (holder, pointer) => {
+    const segments = ['root', ...parsePointer(pointer)];
+    const key = segments.pop();
+    return { parent: segments.reduce(read, holder), key, segments };
+  };
+
+  const pointerOf = (segments, key) => toPointer([...segments.slice(1), key]);
+
+  const required = (operation, name) => {
+    if (!has(operation, name)) {
+      throw new TypeError(`"${operation.op}" operation needs "${name}"`);
+    }
+  };
+
+  // applies one operation and returns the operations that undo it
+  const operations = {
+    add(holder, { path, value }) {
+      const { parent, key, segments } = locate(holder, path);
+      const placed = insert(parent, key, deepClone(value));
+      const at = pointerOf(segments, placed.key);
+
+      return placed.existed ? [{ op: 'replace', path: at, value: placed.old }] : [{ op: 'remove', path: at }];
+    },
+
+    remove(holder, { path }) {
+      const { parent, key } = locate(holder, path);
+      return [{ op: 'add', path, value: remove(parent, key) }];
+    },
+
+    replace(holder, { path, value }) {
+      const { parent, key } = locate(holder, path);
+      return [{ op: 'replace', path, value: replace(parent, key, deepClone(value)) }];
+    },
+
+    move(holder, { from, path }) {
+      if (path.startsWith(`${from}/`)) {
+        throw new Error(`can't move "${from}" into its own child "${path}"`);
+      }
+
+      const source = locate(holder, from);
+      const value = remove(source.parent, source.key);
+      const target = locate(holder, path);
+      const placed = insert(target.parent, target.key, value);
+      const at = pointerOf(target.segments, placed.key);
+
+      return [{ op: 'move', from: at, path: from }]
+        .concat(placed.existed ? [{ op: 'add', path: at, value: placed.old }] : []);
+    },
+
+    copy(holder, { from, path }) {
+      const source = locate(holder, from);
+      return operations.add(holder, { path, value: read(source.parent, source.key) });
+    },
+
+    test(holder, { path, value }) {
+      const { parent, key } = locate(holder, path);
+      if (!isSame(read(parent, key), value)) {
+        throw new Error(`test failed, the value is ${inspect(read(parent, key))}`);
+      }
+      return [];
+    }
+  };
+
+  // applies the operations one by one, returns the result and, for every
+  // operation, the operations that undo it
+  const run = (document, patch) => {
+    if (!Array.isArray(patch)) { throw new TypeError('patch has to be an array of operations'); }
+
+    const holder = { root: deepClone(document) };
+
+    const undo = patch.map((operation, i) => {
+      try {
+        if (!operation || !has(operations, operation.op)) {
+          throw new TypeError(`unknown operation "${operation && operation.op}"`);
+        }
+        required(operation, 'path');
+        if (['add', 'replace', 'test'].includes(operation.op)) { required(operation, 'value'); }
+        if (['move', 'copy'].includes(operation.op)) { required(operation, 'from'); }
+
+        return operations[operation.op](holder, operation);
+      } catch (e) {
+        e.message = `operation ${i} (${operation && operation.op} "${operation && operation.path}") failed: ${e.message}`;
+        throw e;
+      }
+    });
+
+    return { result: holder.root, undo };
+  };
+
+  const apply = function(document, patch) {
+    return run(document, patch).result;
+  };
+
+  const invert = function(patch, document) {
+    return run(document, patch).undo.reverse().flat();
+  };
+
+  const render = function(patch, document) {
+    const format = (value) => inspect(value, { depth: 2, breakLength: Infinity });
+    const { undo } = run(document, patch);
+
+    return patch.map(({ op, path, from, value }, i) => {
+      const [inverse] = undo[i];
+
+      switch (op) {
+        case 'add':
+        case 'copy': {
+          const added = op === 'copy' ? `copy of ${from}` : format(value);
+          return inverse.op === 'replace'
+            ? `~ ${path}: ${format(inverse.value)} -> ${added}`
+            : `+ ${inverse.path}: ${added}`;
+        }
+        case 'remove': return `- ${path}: ${format(inverse.value)}`;
+        case 'replace': return `~ ${path}: ${format(inverse.value)} -> ${format(value)}`;
+        case 'move': return `> ${from} -> ${path}`;
+        default: return `? ${path}: ${format(value)}`;
+      }
+    }).join('\n');
+  };
+
+  return {
+    toPointer,
+    parsePointer,
+    diff,
+    apply,
+    invert,
+    render
+  };
+})();
+
+(() => {
+
+  // the "copy" example from the beginning of this file
+  const original = { version: 1, status: 'cool', myArray: [1, 2, 3] };
+  const newOne = Object.assign({}, original, { version: 2 });
+
+  console.log(jsonPatch.diff(original, newOne));
+  // <- [ { op: 'replace', path: '/version', value: 2 } ]
+
+  // the shallow copy shares "myArray", so pushing into it changes both
+  // objects and there is no difference to be found
+  newOne.myArray.push(4);
+  console.log(jsonPatch.diff(original, newOne).length);   // <- 1, still only the version
+
+  // the deep copy doesn't share anything
+  const deepOne = deepClone(original);
+  deepOne.myArray.push(5);
+  delete deepOne.status;
+
+  console.log(jsonPatch.render(jsonPatch.diff(original, deepOne), original));
+  // <- - /status: 'cool'
+  //    + /myArray/4: 5
+
+  // arrays, only the items that really changed
+  console.log(jsonPatch.diff(['a', 'b', 'c', 'd'], ['a', 'c', 'd', 'e']));
+  // <- [ { op: 'remove', path: '/1' }, { op: 'add', path: '/3', value: 'e' } ]
+
+  const users = [{ id: 1, name: 'Sue' }, { id: 2, name: 'Bob' }];
+  const renamed = [{ id: 0, name: 'Ann' }, { id: 1, name: 'Sue' }, { id: 2, name: 'Bobby' }];
+
+  console.log(jsonPatch.diff(users, renamed));
+  // <- [ { op: 'add', path: '/0', value: { id: 0, name: 'Ann' } },
+  //      { op: 'replace', path: '/2/name', value: 'Bobby' } ]
+
+  // cycles, the pair of "node" and its copy is compared only once
+  const node = { name: 'root', children: [] };
+  node.self = node;
+
+  const nodeCopy = deepClone(node);
+  nodeCopy.name = 'tree';
+
+  console.log(jsonPatch.diff(node, nodeCopy));
+  // <- [ { op: 'replace', path: '/name', value: 'tree' } ]
+
+  // and inside of arrays, where the items are compared with each other
+  const items = [{ n: 1 }, { n: 2 }];
+  items.forEach((item) => { item.parent = items; });
+
+  const itemsCopy = deepClone(items);
+  itemsCopy[1].n = 3;
+
+  console.log(jsonPatch.diff(items, itemsCopy));
+  // <- [ { op: 'replace', path: '/1/n', value: 3 } ]
+
+  // what did the mixin change, Maps and Sets included
+  const mixin = createMixin({ arrays: 'union' });
+
+  const sue = {
+    name: 'Sue',
+    hobbies: { sports: ['skying', 'swimming'] },
+    settings: new Map([['theme', 'dark'], ['lang', 'en']]),
+    tags: new Set(['js'])
+  };
+
+  const updated = mixin(sue, { hobbies: { sports: ['tennis'] } });
+  updated.settings.set('theme', 'light');
+  updated.tags.add('patterns');
+
+  const patch = jsonPatch.diff(sue, updated);
+
+  console.log(jsonPatch.render(patch, sue));
+  // <- + /hobbies/sports/2: 'tennis'
+  //    ~ /settings/theme: 'dark' -> 'light'
+  //    ~ /tags: Set(1) { 'js' } -> Set(2) { 'js', 'patterns' }
+
+  // applying the patch gives us the same object as "updated", and the
+  // inverted patch brings us back
+  const patched = jsonPatch.apply(sue, patch);
+  console.log(jsonPatch.diff(patched, updated).length);                 // <- 0
+  console.log(jsonPatch.diff(jsonPatch.apply(patched, jsonPatch.invert(patch, sue)), sue).length);  // <- 0
+
+  // the original stays untouched
+  console.log(sue.hobbies.sports);                // <- [ 'skying', 'swimming' ]
+
+  // hand written patches, if any operation fails, nothing is applied
+  const profile = { name: 'Sue', emails: ['sue@example.com'] };
+
+  try {
+    jsonPatch.apply(profile, [
+      { op: 'add', path: '/emails/-', value: 'sue@work.example.com' },
+      { op: 'test', path: '/name', value: 'Bob' }
+    ]);
+  } catch (e) {
+    console.log(e.message);   // <- operation 1 (test "/name") failed: test failed, the value is 'Sue'
+  }
+  console.log(profile.emails.length);             // <- 1
+
+  console.log(jsonPatch.apply(profile, [
+    { op: 'move', from: '/emails/0', path: '/primaryEmail' },
+    { op: 'copy', from: '/name', path: '/displayName' }
+  ]));
+  // <- { name: 'Sue', emails: [], primaryEmail: 'sue@example.com', displayName: 'Sue' }
+
+})();
+
+// --------------------------------------------------------------------------
+// DEEP EQUALITY AND SHARED REFERENCES
+// When we made a shallow copy with our "copy" function (or with
+// Object.assign), the copy looked fine, it had all the properties with all
+// the right values. The problem was hidden, "myArray" of the copy was the
+// same array as "myArray" of the original, and we have only found out when
+// we changed one of them and the other one changed as well. So there are two
+// different questions that we want to ask about a copy:
+// - does it have the same content as the original, deepEqual(a, b, options)
+// - does it still share some objects with the original,
+//   findSharedReferences(a, b)
+
+// "===" answers neither of them, it only tells whether two values are the
+// same object. deepEqual compares the content instead, recursively, with
+// the same care that "deepClone" needs for copying: cycles (a pair of objects
+// met again inside of itself is a cycle, and it is equal as long as
+// everything else is), Dates, RegExps, binary data, Maps and Sets. Its options:
+// - ordered: Maps and Sets are equal only if their entries are in the same
+//   order (default false, the order doesn't matter)
+// - signedZero: 0 and -0 are different (default false, they are equal like
+//   with "==="), NaN is always equal to NaN, unlike with "==="
+// - prototypes: objects with different prototypes are different (default
+//   true), with false, { x: 1 } equals an instance of a class with x = 1
+
+function deepEqual(a, b, { ordered = false, signedZero = false, prototypes = true } = {}) {
+  // a -> Set of the objects that it is being compared with, or has been
+  // found equal to, and all of those pairs in the order in which they were added
+  const comparing = new Map();
+  const pairs = [];
+
+  const tagOf = (value) => Object.prototype.toString.call(value);
+
+  const sameNumber = (x, y) => (Number.isNaN(x) && Number.isNaN(y)) || (signedZero ? Object.is(x, y) : x === y);
+
+  const isObject = (value) => value !== null && (typeof value === 'object' || typeof value === 'function');
+
+  const sameBytes = (x, y) => {
+    const bytesX = new Uint8Array(x instanceof ArrayBuffer ? x : x.buffer, x.byteOffset || 0, x.byteLength),
+          bytesY = new Uint8Array(y instanceof ArrayBuffer ? y : y.buffer, y.byteOffset || 0, y.byteLength);
+    return bytesX.length === bytesY.length && bytesX.every((byte, i) => byte === bytesY[i]);
+  };
+
+  // members of "y" are matched to members of "x" one by one, the same
+  // object first, then any equal object that is still free
+  const sameMembers = (x, y, matches) => {
+    const free = Array.from(y);
+
+    return Array.from(x).every((member) => {
+      let index = free.findIndex((other) => matches(member, other, true));
+      if (index === -1) { index = free.findIndex((other) => matches(member, other, false)); }
+      if (index === -1) { return false; }
+
+      free.splice(index, 1);
+      return true;
+    });
+  };
+
+  // "later(p, q)" adds a pair of values that must be equal too. Primitive
+  // members and keys can only match themselves, so they are looked up with
+  // "has" and only the objects are matched one by one.
+  const sameEntries = (x, y, later) => {
+    if (x.size !== y.size) { return false; }
+
+    if (ordered) {
+      const entriesY = Array.from(y);
+
+      Array.from(x).forEach((entry, i) => {
+        if (x instanceof Map) {
+          later(entry[0], entriesY[i][0]);
+          later(entry[1], entriesY[i][1]);
+        } else {
+          later(entry, entriesY[i]);
+        }
+      });
+      return true;
+    }
+
+    if (x instanceof Map) {
+      const objectKeys = [];
+
+      for (const [key, value] of x) {
+        if (isObject(key)) {
+          objectKeys.push([key, value]);
+        } else if (y.has(key)) {
+          later(value, y.get(key));
+        } else {
+          return false;
+        }
+      }
+
+      return sameMembers(objectKeys, Array.from(y).filter(([key]) => isObject(key)),
+        ([keyX, valueX], [keyY, valueY], identical) =>
+          (identical ? keyX === keyY : equal(keyX, keyY)) && equal(valueX, valueY));
+    }
+
+    const objects = [];
+
+    for (const member of x) {
+      if (isObject(member)) {
+        objects.push(member);
+      } else if (!y.has(member)) {
+        return false;
+      }
+    }
+
+    return sameMembers(objects, Array.from(y).filter(isObject),
+      (memberX, memberY, identical) => (identical ? memberX === memberY : equal(memberX, memberY)));
+  };
+
+  // own enumerable properties, symbols included, indexes of typed arrays
+  // are compared together with the rest of their data
+  const ownKeys = (value) => Reflect.ownKeys(value).filter((key) =>
+    Object.prototype.propertyIsEnumerable.call(value, key) &&
+    !(ArrayBuffer.isView(value) && typeof key === 'string' && String(Number(key)) === key));
+
+  const compareObjects = (x, y, later) => {
+    if (x instanceof Date) { return sameNumber(x.getTime(), y.getTime()); }
+    if (x instanceof RegExp && !(x.source === y.source && x.flags === y.flags && x.lastIndex === y.lastIndex)) {
+      return false;
+    }
+    if ((x instanceof Number || x instanceof String || x instanceof Boolean) && !sameNumber(x.valueOf(), y.valueOf())) {
+      return false;
+    }
+    if (x instanceof Error && !(x.name === y.name && x.message === y.message)) { return false; }
+
+    if (x instanceof ArrayBuffer || x instanceof DataView) {
+      if (!sameBytes(x, y)) { return false; }
+    } else if (ArrayBuffer.isView(x)) {
+      // numbers or bigints
+      if (x.length !== y.length || !Array.prototype.every.call(x, (item, i) =>
+        (typeof item === 'number' ? sameNumber(item, y[i]) : item === y[i]))) {
+        return false;
+      }
+    }
+
+    if (Array.isArray(x) && x.length !== y.length) { return false; }
+
+    if ((x instanceof Map || x instanceof Set) && !sameEntries(x, y, later)) { return false; }
+
+    const keysX = ownKeys(x),
+          keysY = ownKeys(y);
+
+    if (keysX.length !== keysY.length ||
+        !keysX.every((key) => Object.prototype.propertyIsEnumerable.call(y, key))) {
+      return false;
+    }
+
+    keysX.forEach((key) => { later(x[key], y[key]); });
+    return true;
+  };
+
+  // compares the pair itself, what is inside of it is left to "later"
+  const comparePair = (x, y, later) => {
+    if (typeof x === 'number' && typeof y === 'number') { return sameNumber(x, y); }
+    if (x === y) { return true; }
+
+    // functions are equal only to themselves
+    if (x === null || y === null || typeof x !== 'object' || typeof y !== 'object') { return false; }
+
+    if (tagOf(x) !== tagOf(y) || Array.isArray(x) !== Array.isArray(y)) { return false; }
+    if (prototypes && Object.getPrototypeOf(x) !== Object.getPrototypeOf(y)) { return false; }
+
+    if (!comparing.has(x)) { comparing.set(x, new Set()); }
+    if (comparing.get(x).has(y)) { return true; }
+
+    comparing.get(x).add(y);
+    pairs.push([x, y]);
+
+    return compareObjects(x, y, later);
+  };
+
+  // The pairs inside of the compared pair wait on a stack instead of the
+  // call stack, so a linked list a million items long is no problem. A pair
+  // is taken as equal from the moment it is being compared and it stays so
+  // when everything inside of it is equal, so objects shared by many parents
+  // are compared only once. When anything fails, the pairs found equal since
+  // the start are forgotten (they could be equal only thanks to a pair that
+  // has failed), a pair that has failed inside of a Set lookup must not be
+  // taken as equal later.
+  const equal = (x, y) => {
+    const mark = pairs.length;
+    const stack = [[x, y]];
+    const later = (p, q) => { stack.push([p, q]); };
+
+    while (stack.length > 0) {
+      const [p, q] = stack.pop();
+
+      if (!comparePair(p, q, later)) {
+        pairs.splice(mark).forEach(([u, v]) => { comparing.get(u).delete(v); });
+        return false;
+      }
+    }
+    return true;
+  };
+
+  return equal(a, b);
+}
+
+// findSharedReferences(a, b, options) walks through both object graphs and
+// returns one { paths: [pathInA, pathInB], value } for every object that can
+// be reached from both of them. Paths are written like in JavaScript,
+// 'hobbies.sports[0]', Map values as 'scores.get("sue")', Map keys as
+// 'scores.keys()[0]' and Set members as 'tags.values()[0]', '' is the object
+// itself. Only the outermost shared object is reported, everything inside
+// of it is shared anyway. Functions are shared on purpose (that's what
+// "deepClone" and mixins do with methods), so they are reported only with
+// the "functions: true" option.
+
+function findSharedReferences(a, b, { functions = false } = {}) {
+  const isReference = (value) => (value !== null && typeof value === 'object') ||
+    (functions && typeof value === 'function');
+
+  const join = (path, key) => {
+    if (typeof key === 'symbol') { return `${path}[${String(key)}]`; }
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) { return path ? `${path}.${key}` : key; }
+    return /^(0|[1-9]\d*)$/.test(key) ? `${path}[${key}]` : `${path}[${JSON.stringify(key)}]`;
+  };
+
+  const describeKey = (key) => (typeof key === 'string' ? JSON.stringify(key) : String(key));
+
+  // [value, path] of everything that the value refers to, getters are not
+  // called, reading them might have side effects
+  const childrenOf = (value, path) => {
+    if (ArrayBuffer.isView(value)) { return [[value.buffer, join(path, 'buffer')]]; }
+
+    const children = [];
+
+    if (value instanceof Map) {
+      Array.from(value.keys()).forEach((key, i) => {
+        children.push([key, `${join(path, 'keys()')}[${i}]`]);
+        children.push([value.get(key), `${join(path, 'get')}(${describeKey(key)})`]);
+      });
+    }
+
+    if (value instanceof Set) {
+      Array.from(value).forEach((member, i) => { children.push([member, `${join(path, 'values()')}[${i}]`]); });
+    }
+
+    Reflect.ownKeys(value).forEach((key) => {
+      const descriptor = Object.getOwnPropertyDescriptor(value, key);
+      if ('value' in descriptor) { children.push([descriptor.value, join(path, key)]); }
+    });
+
+    return children;
+  };
+
+  // breadth first, so that every object gets the shortest of its paths. The
+  // queue is read at "head" instead of shifting it (which moves all the
+  // rest of it every time) and children are pushed one by one, spreading
+  // hundreds of thousands of arguments overflows the stack.
+  const walk = (root, visit) => {
+    const queue = [[root, '']];
+    const visited = new Set();
+    let head = 0;
+
+    while (head < queue.length) {
+      const [value, path] = queue[head];
+      head += 1;
+
+      if (isReference(value) && !visited.has(value)) {
+        visited.add(value);
+        if (visit(value, path) !== false) {
+          childrenOf(value, path).forEach((child) => { queue.push(child); });
+        }
+      }
+    }
+  };
+
+  const pathsInA = new Map();
+  walk(a, (value, path) => { pathsInA.set(value, path); });
+
+  const shared = [];
+  walk(b, (value, path) => {
+    if (!pathsInA.has(value)) { return true; }
+
+    shared.push({ paths: [pathsInA.get(value), path], value });
+    return false;
+  });
+
+  return shared;
+}
+
+(() => {
+
+  // the shallow "copy" from the beginning of this file
+  const copy = (source) => {
+    const result = {};
+    Object.getOwnPropertyNames(source).forEach((prop) => { result[prop] = source[prop]; });
+    return result;
+  };
+
+  const original = { version: 1, myArray: [1, 2, 3] };
+  const shallow = copy(original);
+  const deep = deepClone(original);
+
+  console.log(deepEqual(original, shallow), deepEqual(original, deep));   // <- true true
+  console.log(findSharedReferences(original, shallow));
+  // <- [ { paths: [ 'myArray', 'myArray' ], value: [ 1, 2, 3 ] } ]
+  console.log(findSharedReferences(original, deep));                      // <- []
+
+  // the Object.assign example from the mixin section, caught before any
+  // "push" could change the original
+  const hobbies = { sports: ['skying', 'swimming'] };
+  const sue = Object.assign({}, { name: 'Sue' }, hobbies);
+
+  console.log(findSharedReferences(hobbies, sue));
+  // <- [ { paths: [ 'sports', 'sports' ], value: [ 'skying', 'swimming' ] } ]
+  console.log(findSharedReferences({ hobbies }, createMixin()({ name: 'Sue' }, { hobbies })));   // <- []
+
+  // shared objects can be anywhere, under a different name, in a Map, and
+  // only the outermost one is reported
+  const address = { city: 'Malmo', geo: { lat: 55.6, lng: 13 } };
+  const people = { sue: { address } };
+  const index = { byCity: new Map([['Malmo', address]]) };
+
+  console.log(findSharedReferences(people, index).map(({ paths }) => paths));
+  // <- [ [ 'sue.address', 'byCity.get("Malmo")' ] ]
+
+  // binary data shares the buffer even if the views are different objects
+  const bytes = new Uint8Array([1, 2, 3, 4]);
+  console.log(findSharedReferences({ bytes }, { words: new Uint16Array(bytes.buffer) }).map(({ paths }) => paths));
+  // <- [ [ 'bytes.buffer', 'words.buffer' ] ]
+
+  // methods are shared by "deepClone" on purpose
+  const counter = { count: 0, increment() { this.count += 1; } };
+  console.log(findSharedReferences(counter, deepClone(counter)).length);                      // <- 0
+  console.log(findSharedReferences(counter, deepClone(counter), { functions: true })[0].paths); // <- [ 'increment', 'increment' ]
+
+  // numbers
+  console.log(deepEqual({ x: NaN }, { x: NaN }));                        // <- true, even though NaN !== NaN
+  console.log(deepEqual([0], [-0]), deepEqual([0], [-0], { signedZero: true }));   // <- true false
+
+  // Maps and Sets, ordered or not
+  const tags = new Set(['js', 'patterns']);
+  const sameTags = new Set(['patterns', 'js']);
+
+  console.log(deepEqual(tags, sameTags), deepEqual(tags, sameTags, { ordered: true }));   // <- true false
+  console.log(deepEqual(new Set([{ id: 1 }, { id: 2 }]), new Set([{ id: 2 }, { id: 1 }])));  // <- true
+  console.log(deepEqual(new Map([[{ id: 1 }, 'sue']]), new Map([[{ id: 1 }, 'bob']])));      // <- false
+
+  // typed arrays, dates and other built-ins
+  console.log(deepEqual(new Float64Array([1, NaN]), new Float64Array([1, NaN])));  // <- true
+  console.log(deepEqual(new Uint8Array([1, 2]), new Int8Array([1, 2])));          // <- false, different types
+  console.log(deepEqual(new Date(2018, 0, 1), new Date(2018, 0, 1)));             // <- true
+  console.log(deepEqual(/ab+c/g, /ab+c/i));                                        // <- false
+
+  // cycles
+  const node = { name: 'root', children: [] };
+  node.children.push({ name: 'child', parent: node });
+  node.self = node;
+
+  const nodeCopy = deepClone(node);
+  console.log(deepEqual(node, nodeCopy));          // <- true
+  nodeCopy.children[0].parent = { name: 'root', children: [] };
+  console.log(deepEqual(node, nodeCopy));          // <- false
+
+  // prototypes
+  function Point(x, y) { this.x = x; this.y = y; }
+
+  console.log(deepEqual(new Point(1, 2), { x: 1, y: 2 }));                         // <- false
+  console.log(deepEqual(new Point(1, 2), { x: 1, y: 2 }, { prototypes: false }));  // <- true
+
+})();
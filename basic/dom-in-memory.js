@@ -0,0 +1,809 @@
+"use strict";
+
+// IN-MEMORY DOM
+// Two examples in this repository need a browser. The iterator section walks
+// through the elements of 'document.querySelector("ul")' and the functions
+// section registers a click handler with 'addEventListener'. In Node, there
+// is no 'document', so both of them fail with a ReferenceError before they
+// do anything interesting.
+
+// Luckily, the part of the DOM that they use is not that big, so let's build
+// a small stand-in that lives only in memory:
+// - an HTML parser that turns markup into a tree of nodes (elements, text and
+//   comments), with 'nodeType', 'parentNode', 'childNodes', 'children',
+//   siblings, attributes and 'textContent', and back to markup with
+//   'innerHTML' and 'outerHTML'
+// - 'querySelector' and 'querySelectorAll' with basic selectors, tag, '*',
+//   '#id', '.class', '[attr]', '[attr=value]' (and ~=, ^=, $=, *=),
+//   ':first-child', ':last-child', combinators (descendant, '>', '+', '~')
+//   and lists of selectors separated by commas
+// - 'addEventListener', 'removeEventListener' and 'dispatchEvent' with the
+//   same three phases as in the browser: capturing (from the document down to
+//   the parent of the target), at target and bubbling (from the parent of the
+//   target back up to the document)
+
+// It is not a browser, there is no layout, no styles, no scripts running, and
+// HTML is parsed the simple way (an unexpected closing tag closes everything
+// up to the matching opening tag, a closing tag without an opening one is
+// ignored), but it is enough to try DOM code without opening one.
+
+// The module is exported, so the examples can use it when they run in Node,
+// and the demo at the end runs only when this file is run directly.
+
+// -----------------------------------------------------------------------------
+
+const dom = (function() {
+
+  const ELEMENT_NODE = 1,
+        TEXT_NODE = 3,
+        COMMENT_NODE = 8,
+        DOCUMENT_NODE = 9;
+
+  // elements that never have children and closing tags
+  const voidElements = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+                        'link', 'meta', 'source', 'track', 'wbr'];
+
+  // elements whose content is plain text, '<' inside of them is not a tag
+  const rawTextElements = ['script', 'style'];
+
+  // EVENTS
+
+  // listeners of every node, { type, listener, capture, once, removed }, kept
+  // outside of the nodes, so that they are not visible as their properties
+  const listeners = new WeakMap();
+  const immediatelyStopped = new WeakSet();
+
+  function Event(type, { bubbles = false, cancelable = false, detail = null } = {}) {
+    if (!(this instanceof Event)) { return new Event(type, { bubbles, cancelable, detail }); }
+
+    this.type = String(type);
+    this.bubbles = bubbles;
+    this.cancelable = cancelable;
+    this.detail = detail;
+    this.target = null;
+    this.currentTarget = null;
+    this.eventPhase = Event.NONE;
+    this.defaultPrevented = false;
+    this.cancelBubble = false;
+  }
+
+  Event.NONE = 0;
+  Event.CAPTURING_PHASE = 1;
+  Event.AT_TARGET = 2;
+  Event.BUBBLING_PHASE = 3;
+
+  Event.prototype.stopPropagation = function() {
+    this.cancelBubble = true;
+  };
+
+  Event.prototype.stopImmediatePropagation = function() {
+    this.cancelBubble = true;
+    immediatelyStopped.add(this);
+  };
+
+  Event.prototype.preventDefault = function() {
+    if (this.cancelable) { this.defaultPrevented = true; }
+  };
+
+  const listenersOf = (node) => {
+    if (!listeners.has(node)) { listeners.set(node, []); }
+    return listeners.get(node);
+  };
+
+  // the third argument of add/removeEventListener is either "useCapture"
+  // boolean or an object of options
+  const captureOf = (options) => (typeof options === 'boolean' ? options : Boolean(options && options.capture));
+
+  // calls the listeners of one node for one phase, a listener removed by
+  // another listener during the dispatch is not called anymore, a listener
+  // added during the dispatch is called only by the next one
+  const invoke = (node, event, capture) => {
+    const entries = listenersOf(node).filter((e) => e.type === event.type && e.capture === capture);
+    event.currentTarget = node;
+
+    for (const entry of entries) {
+      if (immediatelyStopped.has(event)) { return; }
+      if (entry.removed) { continue; }
+      if (entry.once) { node.removeEventListener(entry.type, entry.listener, capture); }
+
+      // like in the browser, an error thrown by one listener is reported and
+      // the other listeners are called anyway
+      try {
+        if (typeof entry.listener === 'function') {
+          entry.listener.call(node, event);
+        } else {
+          entry.listener.handleEvent(event);
+        }
+      } catch (e) {
+        console.error(e);
+      }
+    }
+  };
+
+  // SELECTORS
+  // A selector list is parsed into groups (separated by commas), and each
+  // group into compound selectors joined by combinators, 'ul > li.active a'
+  // becomes
+  // [{ combinator: null, compound: { tag: 'ul' } },
+  //  { combinator: '>', compound: { tag: 'li', classes: ['active'] } },
+  //  { combinator: ' ', compound: { tag: 'a' } }]
+
+  const selectorToken = new RegExp([
+    /\s*([>+~,])\s*/.source,                    // combinator or comma
+    /(\s+)/.source,                             // descendant combinator
+    /([\w-]+|\*)/.source,                       // tag
+    /#([\w-]+)/.source,                         // id
+    /\.([\w-]+)/.source,                        // class
+    /\[\s*([\w-]+)\s*(?:([~^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([\w-]+))\s*)?\]/.source, // attribute
+    /:([\w-]+)/.source                          // pseudo-class
+  ].join('|'), 'y');
+
+  const pseudoClasses = {
+    'first-child': (el) => el.previousElementSibling === null,
+    'last-child': (el) => el.nextElementSibling === null
+  };
+
+  const invalidSelector = (selector) => new DOMException(`'${selector}' is not a valid selector`, 'SyntaxError');
+
+  const parseSelector = function(selector) {
+    const source = String(selector).trim();
+    const groups = [];
+    let parts = [],
+        compound = null,
+        combinator = null;
+
+    const current = () => {
+      if (!compound) {
+        compound = { tag: null, ids: [], classes: [], attributes: [], pseudos: [] };
+        parts.push({ combinator: parts.length > 0 ? combinator : null, compound });
+        combinator = null;
+      }
+      return compound;
+    };
+
+    selectorToken.lastIndex = 0;
+
+    while (selectorToken.lastIndex < source.length) {
+      const start = selectorToken.lastIndex;
+      const match = selectorToken.exec(source);
+      if (!match || selectorToken.lastIndex === start) { throw invalidSelector(selector); }
+
+      const [, comb, space, tag, id, cls, attr, op, dq, sq, bare, pseudo] = match;
+
+      if (comb || space) {
+        if (!compound) { throw invalidSelector(selector); }
+        compound = null;
+
+        if (comb === ',') {
+          groups.push(parts);
+          parts = [];
+        } else {
+          combinator = comb || ' ';
+        }
+      } else if (tag) {
+        // the tag has to be the first part of a compound selector
+        if (compound) { throw invalidSelector(selector); }
+        current().tag = tag.toLowerCase();
+      } else if (id) {
+        current().ids.push(id);
+      } else if (cls) {
+        current().classes.push(cls);
+      } else if (attr) {
+        const value = [dq, sq, bare].find((v) => v !== undefined);
+        current().attributes.push({ name: attr.toLowerCase(), op, value });
+      } else if (pseudo) {
+        if (!pseudoClasses[pseudo]) { throw invalidSelector(selector); }
+        current().pseudos.push(pseudo);
+      }
+    }
+
+    // empty selector or a combinator at the end
+    if (!compound) { throw invalidSelector(selector); }
+    groups.push(parts);
+
+    return groups;
+  };
+
+  const attributeTests = {
+    '=': (actual, value) => actual === value,
+    '~=': (actual, value) => actual.split(/\s+/).includes(value),
+    '^=': (actual, value) => value !== '' && actual.startsWith(value),
+    '$=': (actual, value) => value !== '' && actual.endsWith(value),
+    '*=': (actual, value) => value !== '' && actual.includes(value)
+  };
+
+  const matchesCompound = (el, { tag, ids, classes, attributes, pseudos }) => {
+    if (tag && tag !== '*' && tag !== el.localName) { return false; }
+
+    const classList = el.className.split(/\s+/);
+
+    return ids.every((id) => el.id === id) &&
+      classes.every((cls) => classList.includes(cls)) &&
+      attributes.every(({ name, op, value }) => el.hasAttribute(name) &&
+        (!op || attributeTests[op](el.getAttribute(name), value))) &&
+      pseudos.every((pseudo) => pseudoClasses[pseudo](el));
+  };
+
+  // matches from the right, the last compound selector has to match the
+  // element itself, the previous ones its ancestors or siblings, trying all
+  // of them (for descendant and '~'), not just the closest one
+  const matchesParts = (el, parts, i) => {
+    if (!el || !matchesCompound(el, parts[i].compound)) { return false; }
+    if (i === 0) { return true; }
+
+    switch (parts[i].combinator) {
+      case '>':
+        return matchesParts(el.parentElement, parts, i - 1);
+      case '+':
+        return matchesParts(el.previousElementSibling, parts, i - 1);
+      case '~':
+        for (let s = el.previousElementSibling; s; s = s.previousElementSibling) {
+          if (matchesParts(s, parts, i - 1)) { return true; }
+        }
+        return false;
+      default:
+        for (let a = el.parentElement; a; a = a.parentElement) {
+          if (matchesParts(a, parts, i - 1)) { return true; }
+        }
+        return false;
+    }
+  };
+
+  const matchesSelector = (el, groups) => groups.some((parts) => matchesParts(el, parts, parts.length - 1));
+
+  // elements of the subtree (without the node itself) in document order
+  const descendants = function* (node) {
+    for (const child of node.children) {
+      yield child;
+      yield* descendants(child);
+    }
+  };
+
+  // HTML
+
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+  const decode = (text) => text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      // like the browser, zero, surrogates and anything above the last code
+      // point become the replacement character instead of an error
+      const invalid = code === 0 || (code >= 0xD800 && code <= 0xDFFF) || code > 0x10FFFF;
+      return invalid ? '\uFFFD' : String.fromCodePoint(code);
+    }
+    return Object.prototype.hasOwnProperty.call(entities, name) ? entities[name] : match;
+  });
+
+  const escapeText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const escapeAttribute = (value) => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+  const openingTag = /<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+  const closingTag = /<\/([a-zA-Z][\w-]*)\s*>/y;
+  const attribute = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+  const appendText = (document, parent, text) => {
+    // there is no text directly in the document, only around the <html>
+    if (text === '' || (parent === document && text.trim() === '')) { return; }
+
+    // a '<' that doesn't start a tag is just text, glued to the text before it
+    const last = parent.lastChild;
+    if (last && last.nodeType === TEXT_NODE) {
+      last.data += text;
+    } else {
+      parent.appendChild(document.createTextNode(text));
+    }
+  };
+
+  const parseInto = function(parent, html) {
+    const document = parent.nodeType === DOCUMENT_NODE ? parent : parent.ownerDocument;
+    const stack = [parent];
+    const current = () => stack[stack.length - 1];
+    let i = 0;
+
+    while (i < html.length) {
+      if (html.startsWith('<!--', i)) {
+        const end = html.indexOf('-->', i + 4);
+        const stop = end === -1 ? html.length : end;
+        current().appendChild(document.createComment(html.slice(i + 4, stop)));
+        i = stop + 3;
+        continue;
+      }
+
+      // <!DOCTYPE html>, there is nothing to do with it
+      if (html.startsWith('<!', i)) {
+        const end = html.indexOf('>', i);
+        i = end === -1 ? html.length : end + 1;
+        continue;
+      }
+
+      closingTag.lastIndex = i;
+      const closing = closingTag.exec(html);
+      if (closing) {
+        const open = stack.map((node) => node.localName).lastIndexOf(closing[1].toLowerCase());
+        if (open > 0) { stack.length = open; }
+        i = closingTag.lastIndex;
+        continue;
+      }
+
+      openingTag.lastIndex = i;
+      const opening = openingTag.exec(html);
+      if (opening) {
+        const element = document.createElement(opening[1]);
+
+        for (const [, name, dq, sq, bare] of opening[2].matchAll(attribute)) {
+          element.setAttribute(name, decode([dq, sq, bare].find((v) => v !== undefined) || ''));
+        }
+
+        current().appendChild(element);
+        i = openingTag.lastIndex;
+
+        if (rawTextElements.includes(element.localName)) {
+          const end = html.toLowerCase().indexOf(`</${element.localName}`, i);
+          const stop = end === -1 ? html.length : end;
+          appendText(document, element, html.slice(i, stop));
+          stack.push(element);
+          i = stop;
+        } else if (!opening[3] && !voidElements.includes(element.localName)) {
+          stack.push(element);
+        }
+        continue;
+      }
+
+      const next = html.indexOf('<', i + 1);
+      const stop = next === -1 ? html.length : next;
+      appendText(document, current(), decode(html.slice(i, stop)));
+      i = stop;
+    }
+  };
+
+  const startTag = (el) => `<${el.localName}${Array.from(el.attributes, ([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('')}>`;
+
+  const serialize = function(node) {
+    switch (node.nodeType) {
+      case TEXT_NODE: {
+        const parent = node.parentNode;
+        return parent && rawTextElements.includes(parent.localName) ? node.data : escapeText(node.data);
+      }
+      case COMMENT_NODE:
+        return `<!--${node.data}-->`;
+      case ELEMENT_NODE:
+        return voidElements.includes(node.localName)
+          ? startTag(node)
+          : `${startTag(node)}${node.childNodes.map(serialize).join('')}</${node.localName}>`;
+      default:
+        return node.childNodes.map(serialize).join('');
+    }
+  };
+
+  // NODES
+  // All nodes share nodeProto (tree and events), elements and the document
+  // add parentProto (children and selectors) and each has its own methods on
+  // top of that.
+
+  // links of every node to its siblings, { previous, next }, kept up to date
+  // by insertBefore and removeChild, so that a step to a sibling doesn't have
+  // to look for the node in "childNodes" of its parent
+  const siblings = new WeakMap();
+  const linksOf = (node) => {
+    if (!siblings.has(node)) { siblings.set(node, { previous: null, next: null }); }
+    return siblings.get(node);
+  };
+
+  const nodeProto = {
+    get firstChild() { return this.childNodes[0] || null; },
+    get lastChild() { return this.childNodes[this.childNodes.length - 1] || null; },
+    get nextSibling() { return linksOf(this).next; },
+    get previousSibling() { return linksOf(this).previous; },
+    get parentElement() {
+      return this.parentNode && this.parentNode.nodeType === ELEMENT_NODE ? this.parentNode : null;
+    },
+    get nextElementSibling() {
+      let s = this.nextSibling;
+      while (s && s.nodeType !== ELEMENT_NODE) { s = s.nextSibling; }
+      return s;
+    },
+    get previousElementSibling() {
+      let s = this.previousSibling;
+      while (s && s.nodeType !== ELEMENT_NODE) { s = s.previousSibling; }
+      return s;
+    },
+
+    get textContent() {
+      if (this.nodeType === TEXT_NODE || this.nodeType === COMMENT_NODE) { return this.data; }
+      if (this.nodeType === DOCUMENT_NODE) { return null; }
+      return this.childNodes
+        .filter((child) => child.nodeType !== COMMENT_NODE)
+        .map((child) => child.textContent)
+        .join('');
+    },
+    set textContent(value) {
+      if (this.nodeType === TEXT_NODE || this.nodeType === COMMENT_NODE) {
+        this.data = String(value);
+      } else if (this.nodeType === ELEMENT_NODE) {
+        this.childNodes.slice().forEach((child) => this.removeChild(child));
+        if (value !== null && value !== '') { this.appendChild(this.ownerDocument.createTextNode(String(value))); }
+      }
+    },
+
+    contains(other) {
+      for (let node = other; node; node = node.parentNode) {
+        if (node === this) { return true; }
+      }
+      return false;
+    },
+
+    // moves the child if it already is somewhere in the tree
+    insertBefore(child, reference) {
+      if (this.nodeType !== ELEMENT_NODE && this.nodeType !== DOCUMENT_NODE) {
+        throw new DOMException('only elements and documents can have children', 'HierarchyRequestError');
+      }
+      if (!child || child.nodeType === DOCUMENT_NODE || child.contains(this)) {
+        throw new DOMException("the new child can't be inserted here", 'HierarchyRequestError');
+      }
+      if (reference && reference.parentNode !== this) {
+        throw new DOMException('the reference node is not a child of this node', 'NotFoundError');
+      }
+      if (child === reference) { return child; }
+
+      child.remove();
+
+      const previous = reference ? linksOf(reference).previous : this.lastChild;
+      const links = linksOf(child);
+
+      if (reference) {
+        this.childNodes.splice(this.childNodes.indexOf(reference), 0, child);
+        linksOf(reference).previous = child;
+      } else {
+        this.childNodes.push(child);
+      }
+      if (previous) { linksOf(previous).next = child; }
+
+      links.previous = previous;
+      links.next = reference || null;
+      child.parentNode = this;
+      return child;
+    },
+
+    appendChild(child) {
+      return this.insertBefore(child, null);
+    },
+
+    removeChild(child) {
+      if (!child || child.parentNode !== this) {
+        throw new DOMException('the node to be removed is not a child of this node', 'NotFoundError');
+      }
+      const links = linksOf(child);
+
+      if (links.previous) { linksOf(links.previous).next = links.next; }
+      if (links.next) { linksOf(links.next).previous = links.previous; }
+
+      this.childNodes.splice(this.childNodes.indexOf(child), 1);
+
+      links.previous = null;
+      links.next = null;
+      child.parentNode = null;
+      return child;
+    },
+
+    remove() {
+      if (this.parentNode) { this.parentNode.removeChild(this); }
+    },
+
+    // options: capture, once, signal (removes the listener when aborted)
+    addEventListener(type, listener, options) {
+      if (listener === null || listener === undefined) { return; }
+
+      const capture = captureOf(options);
+      const { once = false, signal } = typeof options === 'object' && options !== null ? options : {};
+
+      if (signal && signal.aborted) { return; }
+
+      // the same listener is added only once (for the same type and phase)
+      const list = listenersOf(this);
+      if (list.some((e) => e.type === type && e.listener === listener && e.capture === capture)) { return; }
+
+      list.push({ type, listener, capture, once, removed: false });
+
+      if (signal) {
+        signal.addEventListener('abort', () => this.removeEventListener(type, listener, capture), { once: true });
+      }
+    },
+
+    removeEventListener(type, listener, options) {
+      const capture = captureOf(options);
+      const list = listenersOf(this);
+      const index = list.findIndex((e) => e.type === type && e.listener === listener && e.capture === capture);
+
+      if (index !== -1) {
+        list[index].removed = true;
+        list.splice(index, 1);
+      }
+    },
+
+    // returns false if a listener has called preventDefault
+    dispatchEvent(event) {
+      if (!(event instanceof Event)) {
+        throw new TypeError('dispatchEvent expects an Event');
+      }
+      if (event.eventPhase !== Event.NONE) {
+        throw new DOMException('the event is already being dispatched', 'InvalidStateError');
+      }
+
+      // the path is computed before the dispatch, moving nodes around in a
+      // listener doesn't change where the event goes
+      const ancestors = [];
+      for (let node = this.parentNode; node; node = node.parentNode) { ancestors.push(node); }
+
+      event.target = this;
+
+      try {
+        event.eventPhase = Event.CAPTURING_PHASE;
+        for (const node of ancestors.slice().reverse()) {
+          if (event.cancelBubble) { break; }
+          invoke(node, event, true);
+        }
+
+        event.eventPhase = Event.AT_TARGET;
+        if (!event.cancelBubble) { invoke(this, event, true); }
+        if (!event.cancelBubble) { invoke(this, event, false); }
+
+        if (event.bubbles) {
+          event.eventPhase = Event.BUBBLING_PHASE;
+          for (const node of ancestors) {
+            if (event.cancelBubble) { break; }
+            invoke(node, event, false);
+          }
+        }
+      } finally {
+        event.eventPhase = Event.NONE;
+        event.currentTarget = null;
+        event.cancelBubble = false;
+        immediatelyStopped.delete(event);
+      }
+
+      return !event.defaultPrevented;
+    },
+
+    // console.log of a node prints a short description, not the whole tree
+    // with all of the parentNode references
+    [Symbol.for('nodejs.util.inspect.custom')]() {
+      switch (this.nodeType) {
+        case ELEMENT_NODE: return startTag(this);
+        case TEXT_NODE: return `#text ${JSON.stringify(this.data)}`;
+        case COMMENT_NODE: return `<!--${this.data}-->`;
+        default: return '#document';
+      }
+    }
+  };
+
+  const parentProto = {
+    get children() { return this.childNodes.filter((child) => child.nodeType === ELEMENT_NODE); },
+    get firstElementChild() { return this.children[0] || null; },
+    get lastElementChild() { return this.children[this.children.length - 1] || null; },
+    get childElementCount() { return this.children.length; },
+
+    querySelector(selector) {
+      const groups = parseSelector(selector);
+      for (const el of descendants(this)) {
+        if (matchesSelector(el, groups)) { return el; }
+      }
+      return null;
+    },
+
+    // unlike the browser, it returns an array, not a NodeList
+    querySelectorAll(selector) {
+      const groups = parseSelector(selector);
+      return Array.from(descendants(this)).filter((el) => matchesSelector(el, groups));
+    }
+  };
+
+  // mixes getters in as getters, Object.assign would call them and copy
+  // their current values instead
+  const mix = (...sources) => Object.create(nodeProto, Object.assign({},
+    ...sources.map((source) => Object.getOwnPropertyDescriptors(source))));
+
+  const elementProto = mix(parentProto, {
+    nodeType: ELEMENT_NODE,
+
+    get nodeName() { return this.tagName; },
+    get id() { return this.getAttribute('id') || ''; },
+    set id(value) { this.setAttribute('id', value); },
+    get className() { return this.getAttribute('class') || ''; },
+    set className(value) { this.setAttribute('class', value); },
+
+    // unlike the browser, "attributes" is a Map of names and values
+    getAttribute(name) {
+      const value = this.attributes.get(String(name).toLowerCase());
+      return value === undefined ? null : value;
+    },
+    setAttribute(name, value) { this.attributes.set(String(name).toLowerCase(), String(value)); },
+    hasAttribute(name) { return this.attributes.has(String(name).toLowerCase()); },
+    removeAttribute(name) { this.attributes.delete(String(name).toLowerCase()); },
+
+    matches(selector) {
+      return matchesSelector(this, parseSelector(selector));
+    },
+
+    closest(selector) {
+      const groups = parseSelector(selector);
+      for (let el = this; el; el = el.parentElement) {
+        if (matchesSelector(el, groups)) { return el; }
+      }
+      return null;
+    },
+
+    get innerHTML() { return this.childNodes.map(serialize).join(''); },
+    set innerHTML(html) {
+      this.childNodes.slice().forEach((child) => this.removeChild(child));
+      parseInto(this, String(html));
+    },
+    get outerHTML() { return serialize(this); },
+
+    click() {
+      this.dispatchEvent(new Event('click', { bubbles: true, cancelable: true }));
+    }
+  });
+
+  const characterDataProto = (nodeType, nodeName) => mix({ nodeType, nodeName });
+  const textProto = characterDataProto(TEXT_NODE, '#text');
+  const commentProto = characterDataProto(COMMENT_NODE, '#comment');
+
+  const createNode = (proto, ownerDocument, props) => Object.assign(Object.create(proto), {
+    ownerDocument,
+    parentNode: null,
+    childNodes: []
+  }, props);
+
+  const documentProto = mix(parentProto, {
+    nodeType: DOCUMENT_NODE,
+    nodeName: '#document',
+
+    get documentElement() { return this.firstElementChild; },
+    get head() { return this.querySelector('head'); },
+    get body() { return this.querySelector('body'); },
+
+    createElement(tagName) {
+      const name = String(tagName).toLowerCase();
+      return createNode(elementProto, this, { tagName: name.toUpperCase(), localName: name, attributes: new Map() });
+    },
+    createTextNode(data) { return createNode(textProto, this, { data: String(data) }); },
+    createComment(data) { return createNode(commentProto, this, { data: String(data) }); },
+
+    getElementById(id) {
+      for (const el of descendants(this)) {
+        if (el.id === id) { return el; }
+      }
+      return null;
+    }
+  });
+
+  // a new document with the given markup as its content
+  const createDocument = function(html = '') {
+    const document = createNode(documentProto, null, {});
+    parseInto(document, String(html));
+    return document;
+  };
+
+  return {
+    ELEMENT_NODE,
+    TEXT_NODE,
+    COMMENT_NODE,
+    DOCUMENT_NODE,
+    Event,
+    createDocument
+  };
+})();
+
+module.exports = dom;
+
+// -----------------------------------------------------------------------------
+
+(() => {
+
+if (require.main !== module) { return; }
+
+const { createDocument, Event } = dom;
+
+// the html from the iterator section
+const document = createDocument(`
+<html>
+  <head>
+    <title>some title</title>
+  </head>
+  <body>
+    <div>
+      <p>some paragraph</p>
+      <ul>
+        <li><a>link 1</a></li>
+        <li><a>link 2</a></li>
+      </ul>
+    </div>
+    <script src="./test.js"></script>
+  </body>
+</html>`);
+
+console.log(document.documentElement.children.map((el) => el.tagName));  // <- prints [ 'HEAD', 'BODY' ]
+console.log(document.querySelector('title').textContent);                // <- prints some title
+console.log(document.querySelector('script'));                           // <- prints <script src="./test.js">
+
+// the iterator section walks through this document with getDOMIterator
+// when it runs in Node
+const list = document.querySelector('ul');
+
+// selectors
+const texts = (elements) => elements.map((el) => el.textContent);
+
+console.log(texts(document.querySelectorAll('ul > li a')));          // <- prints [ 'link 1', 'link 2' ]
+console.log(texts(document.querySelectorAll('li:last-child a')));    // <- prints [ 'link 2' ]
+console.log(texts(document.querySelectorAll('p + ul li, title')));   // <- prints [ 'some title', 'link 1', 'link 2' ]
+console.log(document.querySelector('[src$=".js"]').tagName);         // <- prints SCRIPT
+console.log(list.querySelector('div a'));                            // <- prints <a>, the div is outside of the list,
+                                                                     //    but the whole selector still has to match
+
+try {
+  document.querySelector('ul >');
+} catch (e) {
+  console.log(e.name, e.message);      // <- prints SyntaxError 'ul >' is not a valid selector
+}
+
+// changing the tree
+list.innerHTML += '<li class="new"><a href="/three">link 3 &amp; more</a></li>';
+console.log(list.lastElementChild.outerHTML);
+// <- prints <li class="new"><a href="/three">link 3 &amp; more</a></li>
+console.log(texts(list.querySelectorAll('a')));   // <- prints [ 'link 1', 'link 2', 'link 3 & more' ]
+
+console.log(list.querySelectorAll('*').map((el) => el.tagName));   // <- prints [ 'LI', 'A', 'LI', 'A', 'LI', 'A' ]
+
+// character references, the ones that don't name a character become U+FFFD
+console.log(createDocument('<p>&#x41;&#66; &#x110000; &#xD800; &#0;</p>').querySelector('p').textContent);
+// <- prints AB � � �
+
+// events, the shopping cart from the functions section
+const shop = createDocument(`
+<body>
+  <div id="shop">
+    <button id="shoppingCart" class="cart">cart</button>
+  </div>
+</body>`);
+
+const $shoppingCart = shop.querySelector('#shoppingCart');
+const log = [];
+
+$shoppingCart.addEventListener('click', function(event) {
+  // handle the event which is triggered by user clicking on
+  // our shopping cart
+  log.push(`cart (this is the button: ${this === $shoppingCart})`);
+});
+
+shop.addEventListener('click', (event) => log.push(`document capturing, target ${event.target.id}`), true);
+shop.querySelector('#shop').addEventListener('click', (event) => log.push(`div bubbling, phase ${event.eventPhase}`));
+shop.body.addEventListener('click', () => log.push('body bubbling'));
+
+$shoppingCart.click();
+console.log(log);
+// <- prints [ 'document capturing, target shoppingCart',
+//             'cart (this is the button: true)',
+//             'div bubbling, phase 3',
+//             'body bubbling' ]
+
+// stopping the propagation, the body doesn't hear about the click anymore
+log.length = 0;
+const stop = (event) => event.stopPropagation();
+
+shop.querySelector('#shop').addEventListener('click', stop);
+$shoppingCart.click();
+console.log(log.length);               // <- prints 3, without 'body bubbling'
+shop.querySelector('#shop').removeEventListener('click', stop);
+
+// cancelable events, listeners can ask to skip the default action
+$shoppingCart.addEventListener('checkout', (event) => {
+  if (event.detail.items === 0) { event.preventDefault(); }
+}, { once: true });
+
+const allowed = $shoppingCart.dispatchEvent(new Event('checkout', { cancelable: true, detail: { items: 0 } }));
+console.log(allowed);                  // <- prints false, the listener has prevented it
+
+const again = $shoppingCart.dispatchEvent(new Event('checkout', { cancelable: true, detail: { items: 0 } }));
+console.log(again);                    // <- prints true, the "once" listener is gone
+
+})();
@@ -0,0 +1,306 @@
+"use strict";
+
+// FUNCTION COMPOSITION AND CURRYING
+// In the functions section, we have seen that functions can be passed to and
+// returned from other functions, and we have used 'bind' to partially apply
+// arguments. Those are the building blocks of functional programming, and in
+// this section we build a small toolkit on top of them, functions that take
+// functions and return new functions:
+// - pipe(f, g, h) returns x => h(g(f(x))), compose(f, g, h) is the same in
+//   the reverse order, x => f(g(h(x))), pipeAsync and composeAsync also wait
+//   for the functions that return promises
+// - curry(fn) returns a function that takes the arguments of 'fn' one (or
+//   more) at a time, and calls 'fn' once it has all of them, curry.__ is a
+//   placeholder for an argument that will be given later
+// - partial(fn, ...args) and partialRight(fn, ...args) fix the first (or the
+//   last) arguments, like 'bind' but without touching 'this'
+// - flip(fn) swaps the first two arguments
+// - tap(fn) calls fn for its side effect (e.g. logging) and passes the value on
+// - once(fn) calls fn only the first time, and returns that result afterwards
+// - memoize(fn, options) remembers results of previous calls
+
+// Remember the part about named function expressions, when something goes
+// wrong, it is much easier to find the function by its name in the stack
+// trace. Functions that we return from the toolkit would all be anonymous,
+// so each of them gets a name describing where it came from and the
+// 'length' property (the number of parameters that it expects) that
+// corresponds to the original function.
+
+// -----------------------------------------------------------------------------
+
+const fp = (function() {
+
+  const describe = function(fn, name, length) {
+    Object.defineProperty(fn, 'name', { value: name, configurable: true });
+    Object.defineProperty(fn, 'length', { value: Math.max(length, 0), configurable: true });
+    return fn;
+  };
+
+  const nameOf = (fns) => fns.map((fn) => fn.name || 'anonymous').join(', ');
+
+  const checkFunctions = (fns) => {
+    fns.forEach((fn, i) => {
+      if (typeof fn !== 'function') {
+        throw new TypeError(`expected a function at position ${i}, got ${typeof fn}`);
+      }
+    });
+  };
+
+  const pipe = function(...fns) {
+    checkFunctions(fns);
+
+    const piped = function(...args) {
+      if (fns.length === 0) { return args[0]; }
+
+      let result = fns[0].apply(this, args);
+      for (let i = 1; i < fns.length; i++) { result = fns[i].call(this, result); }
+      return result;
+    };
+
+    return describe(piped, `pipe(${nameOf(fns)})`, fns.length > 0 ? fns[0].length : 1);
+  };
+
+  const compose = function(...fns) {
+    return describe(pipe(...fns.slice().reverse()), `compose(${nameOf(fns)})`,
+                    fns.length > 0 ? fns[fns.length - 1].length : 1);
+  };
+
+  const pipeAsync = function(...fns) {
+    checkFunctions(fns);
+
+    const piped = async function(...args) {
+      if (fns.length === 0) { return args[0]; }
+
+      let result = await fns[0].apply(this, args);
+      for (let i = 1; i < fns.length; i++) { result = await fns[i].call(this, result); }
+      return result;
+    };
+
+    return describe(piped, `pipeAsync(${nameOf(fns)})`, fns.length > 0 ? fns[0].length : 1);
+  };
+
+  const composeAsync = function(...fns) {
+    return describe(pipeAsync(...fns.slice().reverse()), `composeAsync(${nameOf(fns)})`,
+                    fns.length > 0 ? fns[fns.length - 1].length : 1);
+  };
+
+  // placeholder for an argument that will be given later
+  const __ = Symbol('placeholder');
+
+  const curry = function(fn, arity = fn.length) {
+    checkFunctions([fn]);
+
+    const collect = (collected) => {
+      const curried = function(...args) {
+        // placeholders are filled first, from the left, the rest is appended
+        const merged = collected.slice();
+        let next = 0;
+
+        for (let i = 0; i < merged.length && next < args.length; i++) {
+          if (merged[i] === __) { merged[i] = args[next++]; }
+        }
+        merged.push(...args.slice(next));
+
+        const complete = merged.length >= arity && merged.slice(0, arity).every((arg) => arg !== __);
+        return complete ? fn.apply(this, merged) : collect(merged);
+      };
+
+      const given = collected.slice(0, arity).filter((arg) => arg !== __).length;
+      return describe(curried, `curried ${fn.name}`, arity - given);
+    };
+
+    return collect([]);
+  };
+
+  curry.__ = __;
+
+  const partial = function(fn, ...fixed) {
+    checkFunctions([fn]);
+
+    const applied = function(...args) { return fn.apply(this, [...fixed, ...args]); };
+    return describe(applied, `partial ${fn.name}`, fn.length - fixed.length);
+  };
+
+  const partialRight = function(fn, ...fixed) {
+    checkFunctions([fn]);
+
+    const applied = function(...args) { return fn.apply(this, [...args, ...fixed]); };
+    return describe(applied, `partialRight ${fn.name}`, fn.length - fixed.length);
+  };
+
+  const flip = function(fn) {
+    checkFunctions([fn]);
+
+    const flipped = function(a, b, ...rest) { return fn.call(this, b, a, ...rest); };
+    return describe(flipped, `flipped ${fn.name}`, fn.length);
+  };
+
+  const tap = function(fn) {
+    checkFunctions([fn]);
+
+    const tapped = function(value) {
+      fn.call(this, value);
+      return value;
+    };
+    return describe(tapped, `tap ${fn.name}`, 1);
+  };
+
+  const once = function(fn) {
+    checkFunctions([fn]);
+
+    let called = false,
+        result;
+
+    const onced = function(...args) {
+      if (!called) {
+        called = true;
+        result = fn.apply(this, args);
+      }
+      return result;
+    };
+    return describe(onced, fn.name, fn.length);
+  };
+
+  // options:
+  // - key: function computing the cache key from the arguments, by default
+  //   the only argument itself, or JSON of all of them
+  // - maxSize: how many results to keep, when the cache is full, the least
+  //   recently used one is thrown away (default Infinity)
+  const memoize = function(fn, { key, maxSize = Infinity } = {}) {
+    checkFunctions([fn]);
+
+    const toKey = key || ((...args) => (args.length === 1 ? args[0] : JSON.stringify(args)));
+    // Map remembers the order of insertion, so the first key is the least
+    // recently used one, as long as we move every used key to the end
+    const cache = new Map();
+
+    const memoized = function(...args) {
+      const k = toKey(...args);
+
+      if (cache.has(k)) {
+        const value = cache.get(k);
+        cache.delete(k);
+        cache.set(k, value);
+        return value;
+      }
+
+      const value = fn.apply(this, args);
+      cache.set(k, value);
+
+      if (cache.size > maxSize) { cache.delete(cache.keys().next().value); }
+      return value;
+    };
+
+    memoized.clear = () => { cache.clear(); };
+    Object.defineProperty(memoized, 'size', { get: () => cache.size });
+
+    return describe(memoized, fn.name, fn.length);
+  };
+
+  return {
+    pipe,
+    compose,
+    pipeAsync,
+    composeAsync,
+    curry,
+    partial,
+    partialRight,
+    flip,
+    tap,
+    once,
+    memoize
+  };
+})();
+
+// -----------------------------------------------------------------------------
+
+(() => {
+
+const { pipe, compose, pipeAsync, curry, partial, partialRight, flip, tap, once, memoize } = fp;
+const __ = curry.__;
+
+const add = function add(a, b) { return a + b; };
+const double = function double(x) { return x * 2; };
+const square = function square(x) { return x * x; };
+
+const doubleThenSquare = pipe(double, square);
+const squareThenDouble = compose(double, square);
+
+console.log(doubleThenSquare(3));     // <- prints 36
+console.log(squareThenDouble(3));     // <- prints 18
+console.log(doubleThenSquare.name);   // <- prints pipe(double, square)
+
+// with a logging step in the middle
+const logged = pipe(double, tap((x) => console.log(`after double: ${x}`)), square);
+logged(5);                            // <- prints after double: 10
+
+// currying
+const volume = function volume(width, height, depth) {
+  return width * height * depth;
+};
+
+const curriedVolume = curry(volume);
+
+console.log(curriedVolume(2)(3)(4));  // <- prints 24
+console.log(curriedVolume(2, 3)(4));  // <- prints 24
+console.log(curriedVolume(__, 3)(2)(4));  // <- prints 24, width is given after height
+console.log(curriedVolume(2).length); // <- prints 2, two more arguments to go
+console.log(curriedVolume(2).name);   // <- prints curried volume
+
+// partial application, the same as sayHelloToSomeone.bind(null, 'Sue')
+// from the functions section but without 'this'
+const greet = function greet(greeting, who) { return `${greeting} ${who}`; };
+
+console.log(partial(greet, 'hello')('Sue'));       // <- prints hello Sue
+console.log(partialRight(greet, 'Sue')('hi'));     // <- prints hi Sue
+console.log(flip(greet)('Bob', 'welcome'));        // <- prints welcome Bob
+console.log(partial(greet, 'hello').length);       // <- prints 1
+
+// once
+const init = once(function init() {
+  console.log('initializing');
+  return 42;
+});
+
+init();                               // <- prints initializing
+console.log(init());                  // <- prints 42, without initializing again
+
+// memoize, the classic example, fibonacci numbers (note that the function
+// expression can't be named 'fib', inside of the function the name would
+// point to the function itself, not to the memoized one, and the recursive
+// calls would skip the cache)
+let calls = 0;
+const fib = memoize(function fibonacci(n) {
+  calls += 1;
+  return n < 2 ? n : fib(n - 1) + fib(n - 2);
+});
+
+console.log(fib(50));                 // <- prints 12586269025
+console.log(calls);                   // <- prints 51, each number computed once
+
+// least recently used results are thrown away
+const slowSquare = memoize(square, { maxSize: 2 });
+
+slowSquare(1);
+slowSquare(2);
+slowSquare(1);                        // 1 is now the most recently used
+slowSquare(3);                        // 2 is thrown away
+console.log(slowSquare.size);         // <- prints 2
+
+// custom key, objects with the same id are the same
+const describeUser = memoize((user) => `${user.name} (${user.id})`, { key: (user) => user.id });
+
+console.log(describeUser({ id: 1, name: 'Sue' }));   // <- prints Sue (1)
+console.log(describeUser({ id: 1, name: 'Bob' }));   // <- prints Sue (1), from the cache
+
+// asynchronous steps
+const fetchUser = (id) => new Promise((resolve) => setTimeout(resolve, 10, { id, name: 'Sue' }));
+
+pipeAsync(fetchUser, (user) => user.name, (name) => name.toUpperCase())(1)
+  .then((name) => console.log(name)); // <- prints SUE
+
+// it is still a curried function, so it can be piped as well
+const addTen = curry(add)(10);
+console.log(pipe(addTen, double)(1)); // <- prints 22
+
+})();
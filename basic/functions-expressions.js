@@ -0,0 +1,517 @@
+"use strict";
+
+// SAFE EXPRESSION EVALUATOR
+// The functions section starts with the Function constructor, which turns a
+// string into a function, and with the warning that it is as dangerous as
+// 'eval'. Whoever writes the string can do anything that our code can do,
+// read and change global variables, reach 'constructor' of any object (and
+// through it the Function constructor again), run an endless loop...
+
+// But sometimes we really need to run code written by someone else, typically
+// formulas that users configure themselves ('price * quantity * (1 - discount)'
+// or 'age >= 18 && country == "SK"'). The safe way to do that is to not run it
+// as JavaScript at all. Instead, we read the string ourselves and compute the
+// result ourselves, supporting only what we decide to support. It takes three
+// steps:
+// - tokenizer splits the string into tokens (numbers, strings, names,
+//   operators), 'price * 2' becomes [price] [*] [2]
+// - parser builds a tree (AST, abstract syntax tree) from the tokens, which
+//   captures the priority of operators, 'a + b * c' is a '+' node whose right
+//   child is a '*' node
+// - evaluator walks the tree and computes the value of each node
+// The language supports numbers, strings, true/false/null, arithmetic
+// (+ - * / % **), comparison (== != < <= > >=, == compares like ===), boolean
+// logic (&& || !), conditional (a ? b : c), property access (a.b, a["b"],
+// a[0]) and calls of registered functions. And that is all it can ever do:
+// - names are looked up only in the context object that we give it
+// - only own properties of plain objects and arrays can be read (and length of
+//   strings and arrays), '__proto__', 'prototype' and 'constructor' never
+// - only the registered functions can be called, nothing else is callable
+// - the number of evaluation steps and the running time are limited
+
+// -----------------------------------------------------------------------------
+
+function ExpressionError(message, position) {
+  const error = new Error(position === undefined ? message : `${message} at position ${position}`);
+  Object.setPrototypeOf(error, ExpressionError.prototype);
+  error.position = position;
+  return error;
+}
+
+ExpressionError.prototype = Object.create(Error.prototype, {
+  constructor: { value: ExpressionError, writable: true, configurable: true },
+  name: { value: 'ExpressionError', writable: true, configurable: true }
+});
+
+// options:
+// - functions: object of functions that expressions can call
+// - maxSteps: how many nodes can be evaluated in one evaluation (default 10000)
+// - timeout: milliseconds that one evaluation can take (default 100)
+// - maxDepth: how deeply the expression can be nested (default 100)
+
+function createEvaluator({ functions = {}, maxSteps = 10000, timeout = 100, maxDepth = 100 } = {}) {
+
+  const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+  // TOKENIZER
+
+  // longer operators first, so that '<=' is not read as '<' and '='
+  const operators = ['**', '==', '!=', '<=', '>=', '&&', '||',
+                     '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '.', ',', '(', ')', '[', ']'];
+
+  const tokenize = function(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (/\s/.test(char)) {
+        i += 1;
+        continue;
+      }
+
+      const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+      if (number) {
+        tokens.push({ type: 'number', value: Number(number[0]), position: i });
+        i += number[0].length;
+        continue;
+      }
+
+      const name = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+      if (name) {
+        tokens.push({ type: 'name', value: name[0], position: i });
+        i += name[0].length;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        const start = i;
+        let value = '';
+        i += 1;
+
+        while (i < source.length && source[i] !== char) {
+          if (source[i] === '\\') {
+            i += 1;
+            const escapes = { n: '\n', t: '\t', r: '\r' };
+            value += has(escapes, source[i]) ? escapes[source[i]] : source[i];
+          } else {
+            value += source[i];
+          }
+          i += 1;
+        }
+
+        if (i >= source.length) { throw new ExpressionError('unterminated string', start); }
+
+        tokens.push({ type: 'string', value, position: start });
+        i += 1;
+        continue;
+      }
+
+      const operator = operators.find((op) => source.startsWith(op, i));
+      if (operator) {
+        tokens.push({ type: 'operator', value: operator, position: i });
+        i += operator.length;
+        continue;
+      }
+
+      throw new ExpressionError(`unexpected character "${char}"`, i);
+    }
+
+    tokens.push({ type: 'end', value: undefined, position: source.length });
+    return tokens;
+  };
+
+  // PARSER
+  // Recursive descent, one function per level of operator priority, from the
+  // lowest (conditional) to the highest (member access and calls). Each
+  // level parses the operands by calling the next (higher) level.
+
+  const binaryLevels = [
+    ['||'],
+    ['&&'],
+    ['==', '!='],
+    ['<', '<=', '>', '>='],
+    ['+', '-'],
+    ['*', '/', '%']
+  ];
+
+  const parse = function(source) {
+    const tokens = tokenize(source);
+    let pos = 0,
+        depth = 0;
+
+    const peek = () => tokens[pos];
+    const isOperator = (value) => peek().type === 'operator' && peek().value === value;
+
+    const expect = (value) => {
+      if (!isOperator(value)) {
+        const token = peek();
+        throw new ExpressionError(`expected "${value}" but got ${describe(token)}`, token.position);
+      }
+      return tokens[pos++];
+    };
+
+    const describe = (token) => (token.type === 'end' ? 'end of expression' : `"${token.value}"`);
+
+    const nested = (parseFn) => {
+      depth += 1;
+      if (depth > maxDepth) {
+        throw new ExpressionError(`expression is nested deeper than ${maxDepth} levels`, peek().position);
+      }
+      const node = parseFn();
+      depth -= 1;
+      return node;
+    };
+
+    const parseConditional = () => nested(() => {
+      const test = parseBinary(0);
+
+      if (!isOperator('?')) { return test; }
+
+      const position = tokens[pos++].position;
+      const consequent = parseConditional();
+      expect(':');
+      const alternate = parseConditional();
+
+      return { type: 'Conditional', test, consequent, alternate, position };
+    });
+
+    const parseBinary = (level) => {
+      if (level >= binaryLevels.length) { return parsePower(); }
+
+      let left = parseBinary(level + 1);
+
+      while (peek().type === 'operator' && binaryLevels[level].includes(peek().value)) {
+        const { value: operator, position } = tokens[pos++];
+        const right = parseBinary(level + 1);
+        const type = operator === '&&' || operator === '||' ? 'Logical' : 'Binary';
+        left = { type, operator, left, right, position };
+      }
+
+      return left;
+    };
+
+    // ** is right associative, 2 ** 3 ** 2 is 2 ** (3 ** 2), and unlike in
+    // JavaScript (where it is a syntax error), -2 ** 2 means (-2) ** 2
+    const parsePower = () => {
+      const left = parseUnary();
+
+      if (!isOperator('**')) { return left; }
+
+      const position = tokens[pos++].position;
+      return { type: 'Binary', operator: '**', left, right: nested(parsePower), position };
+    };
+
+    const parseUnary = () => {
+      if (isOperator('!') || isOperator('-') || isOperator('+')) {
+        const { value: operator, position } = tokens[pos++];
+        return { type: 'Unary', operator, argument: nested(parseUnary), position };
+      }
+      return parseMember();
+    };
+
+    const parseMember = () => {
+      let node = parsePrimary();
+
+      while (true) {
+        if (isOperator('.')) {
+          const position = tokens[pos++].position;
+          const token = tokens[pos++];
+
+          if (token.type !== 'name') {
+            throw new ExpressionError(`expected property name but got ${describe(token)}`, token.position);
+          }
+          node = { type: 'Member', object: node, property: { type: 'Literal', value: token.value }, position };
+        } else if (isOperator('[')) {
+          const position = tokens[pos++].position;
+          const property = parseConditional();
+          expect(']');
+          node = { type: 'Member', object: node, property, position };
+        } else if (isOperator('(')) {
+          if (node.type !== 'Identifier') {
+            throw new ExpressionError('only registered functions can be called', peek().position);
+          }
+
+          const position = tokens[pos++].position;
+          const args = [];
+
+          while (!isOperator(')')) {
+            args.push(parseConditional());
+            if (!isOperator(')')) { expect(','); }
+          }
+          expect(')');
+          node = { type: 'Call', callee: node.name, args, position };
+        } else {
+          return node;
+        }
+      }
+    };
+
+    const parsePrimary = () => {
+      const token = tokens[pos++];
+
+      if (token.type === 'number' || token.type === 'string') {
+        return { type: 'Literal', value: token.value, position: token.position };
+      }
+
+      if (token.type === 'name') {
+        const literals = { true: true, false: false, null: null };
+        if (has(literals, token.value)) {
+          return { type: 'Literal', value: literals[token.value], position: token.position };
+        }
+        return { type: 'Identifier', name: token.value, position: token.position };
+      }
+
+      if (token.type === 'operator' && token.value === '(') {
+        const node = parseConditional();
+        expect(')');
+        return node;
+      }
+
+      throw new ExpressionError(`unexpected ${describe(token)}`, token.position);
+    };
+
+    const ast = parseConditional();
+
+    if (peek().type !== 'end') {
+      throw new ExpressionError(`unexpected ${describe(peek())}`, peek().position);
+    }
+
+    return ast;
+  };
+
+  // EVALUATOR
+
+  const forbidden = ['__proto__', 'prototype', 'constructor'];
+
+  const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+    [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+  const typeName = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+  const readProperty = (object, key, position) => {
+    if (typeof key !== 'string' && typeof key !== 'number') {
+      throw new ExpressionError(`property name has to be a string or a number, got ${typeName(key)}`, position);
+    }
+
+    const name = String(key);
+
+    if (forbidden.includes(name)) {
+      throw new ExpressionError(`access to "${name}" is not allowed`, position);
+    }
+
+    if ((typeof object === 'string' || Array.isArray(object)) && name === 'length') {
+      return object.length;
+    }
+
+    if (Array.isArray(object) || isPlainObject(object)) {
+      return has(object, name) ? object[name] : undefined;
+    }
+
+    throw new ExpressionError(`can't read "${name}" of ${typeName(object)}`, position);
+  };
+
+  const checkNumbers = (operator, left, right, position) => {
+    if (typeof left !== 'number' || typeof right !== 'number') {
+      throw new ExpressionError(`"${operator}" expects numbers, got ${typeName(left)} and ${typeName(right)}`, position);
+    }
+  };
+
+  const arithmetic = {
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b,
+    '**': (a, b) => Math.pow(a, b)
+  };
+
+  const comparison = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b
+  };
+
+  const evaluate = function(expression, context = {}) {
+    const ast = typeof expression === 'string' ? parse(expression) : expression;
+    const deadline = Date.now() + timeout;
+    let steps = 0;
+
+    const visit = (node) => {
+      steps += 1;
+      if (steps > maxSteps) {
+        throw new ExpressionError(`evaluation exceeded ${maxSteps} steps`, node.position);
+      }
+      // checking the clock is not free, so only every 100 steps
+      if (steps % 100 === 0 && Date.now() > deadline) {
+        throw new ExpressionError(`evaluation exceeded ${timeout} ms`, node.position);
+      }
+
+      switch (node.type) {
+        case 'Literal':
+          return node.value;
+
+        case 'Identifier':
+          if (forbidden.includes(node.name) || !has(context, node.name)) {
+            throw new ExpressionError(`unknown name "${node.name}"`, node.position);
+          }
+          return context[node.name];
+
+        case 'Member':
+          return readProperty(visit(node.object), visit(node.property), node.position);
+
+        case 'Call': {
+          if (!has(functions, node.callee) || typeof functions[node.callee] !== 'function') {
+            throw new ExpressionError(`unknown function "${node.callee}"`, node.position);
+          }
+          // called without 'this', the function gets only the values
+          return functions[node.callee].apply(undefined, node.args.map(visit));
+        }
+
+        case 'Unary': {
+          const value = visit(node.argument);
+          if (node.operator === '!') { return !value; }
+
+          if (typeof value !== 'number') {
+            throw new ExpressionError(`"${node.operator}" expects a number, got ${typeName(value)}`, node.position);
+          }
+          return node.operator === '-' ? -value : value;
+        }
+
+        case 'Logical': {
+          const left = visit(node.left);
+          if (node.operator === '&&') { return left ? visit(node.right) : left; }
+          return left ? left : visit(node.right);
+        }
+
+        case 'Conditional':
+          return visit(node.test) ? visit(node.consequent) : visit(node.alternate);
+
+        case 'Binary': {
+          const { operator, position } = node;
+          const left = visit(node.left);
+          const right = visit(node.right);
+
+          if (operator === '==') { return left === right; }
+          if (operator === '!=') { return left !== right; }
+
+          // '+' adds numbers or joins strings, but never converts objects
+          // (converting would call their toString or valueOf)
+          if (operator === '+') {
+            const ok = (v) => typeof v === 'number' || typeof v === 'string';
+            if (!ok(left) || !ok(right)) {
+              throw new ExpressionError(`"+" expects numbers or strings, got ${typeName(left)} and ${typeName(right)}`, position);
+            }
+            return left + right;
+          }
+
+          if (has(comparison, operator)) {
+            const bothStrings = typeof left === 'string' && typeof right === 'string';
+            if (!bothStrings) { checkNumbers(operator, left, right, position); }
+            return comparison[operator](left, right);
+          }
+
+          checkNumbers(operator, left, right, position);
+          return arithmetic[operator](left, right);
+        }
+
+        default:
+          throw new ExpressionError(`unknown node type "${node.type}"`, node.position);
+      }
+    };
+
+    return visit(ast);
+  };
+
+  // parses once, evaluates many times
+  const compile = function(source) {
+    const ast = parse(source);
+    return (context) => evaluate(ast, context);
+  };
+
+  return {
+    tokenize,
+    parse,
+    evaluate,
+    compile
+  };
+}
+
+// -----------------------------------------------------------------------------
+
+(() => {
+
+const evaluator = createEvaluator({
+  functions: {
+    min: Math.min,
+    max: Math.max,
+    round: (value, digits = 0) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits),
+    upper: (str) => String(str).toUpperCase()
+  }
+});
+
+const order = {
+  price: 19.99,
+  quantity: 3,
+  discount: 0.1,
+  customer: { name: 'Sue', age: 20, country: 'SK', tags: ['vip'] }
+};
+
+console.log(evaluator.evaluate('round(price * quantity * (1 - discount), 2)', order)); // <- prints 53.97
+console.log(evaluator.evaluate('customer.age >= 18 && customer.country == "SK"', order)); // <- prints true
+console.log(evaluator.evaluate('customer.tags[0] == "vip" ? "gold" : "basic"', order));   // <- prints gold
+console.log(evaluator.evaluate('upper(customer.name) + "!"', order));                     // <- prints SUE!
+console.log(evaluator.evaluate('2 ** 3 ** 2', {}));                                       // <- prints 512
+
+// the tree that the parser has built
+console.log(JSON.stringify(evaluator.parse('a + b * 2'), ['type', 'operator', 'left', 'right', 'name', 'value']));
+// <- prints {"type":"Binary","operator":"+","left":{"type":"Identifier","name":"a"},
+//            "right":{"type":"Binary","operator":"*","left":{"type":"Identifier","name":"b"},
+//            "right":{"type":"Literal","value":2}}}
+
+// compiled once, used for many orders
+const total = evaluator.compile('price * quantity');
+console.log(total({ price: 10, quantity: 2 }));   // <- prints 20
+console.log(total({ price: 5, quantity: 7 }));    // <- prints 35
+
+// and everything that the Function constructor would happily do
+const attacks = [
+  'process.env',                                // no globals
+  'customer.constructor',                       // no constructor
+  'customer["__proto__"]',                      // no prototypes
+  'customer.name.constructor("return process")', // no methods, no constructor
+  'min.apply',                                  // functions are not values
+  '"" + customer'                               // no implicit toString
+];
+
+attacks.forEach((attack) => {
+  try {
+    evaluator.evaluate(attack, order);
+  } catch (e) {
+    console.log(`${e.name}: ${e.message}`);
+  }
+});
+// <- prints ExpressionError: unknown name "process" at position 0
+//           ExpressionError: access to "constructor" is not allowed at position 8
+//           ExpressionError: access to "__proto__" is not allowed at position 8
+//           ExpressionError: only registered functions can be called at position 25
+//           ExpressionError: unknown name "min" at position 0
+//           ExpressionError: "+" expects numbers or strings, got string and object at position 3
+
+// a huge expression runs out of steps
+const limited = createEvaluator({ maxSteps: 50 });
+try {
+  limited.evaluate(Array(100).fill('1').join(' + '), {});
+} catch (e) {
+  console.log(e.message);   // <- prints evaluation exceeded 50 steps at position ...
+}
+
+// syntax errors say where the problem is
+try {
+  evaluator.parse('price * (quantity + 1');
+} catch (e) {
+  console.log(e.message);   // <- prints expected ")" but got end of expression at position 21
+}
+
+})();
@@ -0,0 +1,296 @@
+"use strict";
+
+// CALLBACKS AND PROMISES TOGETHER
+// At the end of the functions section, we have read a file with
+// 'fs.readFile', passing it a callback that receives an error (or null) as the
+// first argument and the data as the second one. That convention is called
+// "Node-style" or "error-first" callback and most of the older JavaScript code
+// uses it. The newer code uses promises and async/await instead, and sooner or
+// later the two have to talk to each other. So let's write the adapters:
+// - promisify(fn, options) turns a function that takes an error-first callback
+//   as its last argument into a function that returns a promise
+// - callbackify(fn) does the opposite, turns a function that returns a promise
+//   into a function that takes a callback
+// - promisifyAll(obj) creates an object with promisified versions of all the
+//   methods of 'obj', 'readFile' gets 'readFileAsync' next to it
+// - fromEvent(emitter, name) turns the next event of an event emitter into a
+//   promise (and an 'error' event into rejection)
+
+// And the errors. Callbacks can be called with anything as the error, a
+// string, a number, even a falsy value (which the callback code would not
+// even notice, because it checks 'if (err)'). Promises, on the other hand, are
+// easiest to use when every rejection is an Error object (with a stack trace).
+// So errors that are not Error objects are wrapped into InteropError, with the
+// original value in its 'cause' property and the name of the function that
+// produced it in the message. Real Error objects are passed as they are.
+
+// -----------------------------------------------------------------------------
+
+function InteropError(message, cause) {
+  const error = new Error(message, { cause });
+  Object.setPrototypeOf(error, InteropError.prototype);
+  return error;
+}
+
+InteropError.prototype = Object.create(Error.prototype, {
+  constructor: { value: InteropError, writable: true, configurable: true },
+  name: { value: 'InteropError', writable: true, configurable: true }
+});
+
+const interop = (function() {
+
+  // the same symbol as util.promisify.custom in Node, functions that can't
+  // be promisified the standard way (like setTimeout, which takes the
+  // callback first) can provide their own promise version under it
+  const custom = Symbol.for('nodejs.util.promisify.custom');
+
+  const toError = (value, fnName) => {
+    if (value instanceof Error) { return value; }
+    return new InteropError(`${fnName || 'anonymous function'} failed with ${String(value)}`, value);
+  };
+
+  // options:
+  // - multi: the callback is called with more than one value, true resolves
+  //   with an array of them, array of names resolves with an object, e.g.
+  //   ['address', 'family'] resolves with { address, family }
+  // - context: 'this' for the original function, by default the promisified
+  //   function passes on its own 'this' (so promisified methods keep working)
+  const promisify = function(fn, { multi = false, context } = {}) {
+    if (typeof fn !== 'function') {
+      throw new TypeError(`expected a function, got ${typeof fn}`);
+    }
+
+    if (typeof fn[custom] === 'function') { return fn[custom]; }
+
+    const promisified = function(...args) {
+      const self = context !== undefined ? context : this;
+
+      return new Promise((resolve, reject) => {
+        const callback = (err, ...values) => {
+          // 'undefined' and 'null' both mean no error, other falsy values
+          // (0, '', false) are errors that 'if (err)' would miss
+          if (err !== null && err !== undefined) {
+            reject(toError(err, fn.name));
+          } else if (Array.isArray(multi)) {
+            resolve(multi.reduce((result, name, i) => Object.assign(result, { [name]: values[i] }), {}));
+          } else {
+            resolve(multi ? values : values[0]);
+          }
+        };
+
+        // a function that throws instead of calling the callback rejects too
+        try {
+          fn.call(self, ...args, callback);
+        } catch (e) {
+          reject(toError(e, fn.name));
+        }
+      });
+    };
+
+    Object.defineProperty(promisified, 'name', { value: fn.name });
+    return promisified;
+  };
+
+  const callbackify = function(fn) {
+    if (typeof fn !== 'function') {
+      throw new TypeError(`expected a function, got ${typeof fn}`);
+    }
+
+    const callbackified = function(...args) {
+      const callback = args.pop();
+
+      if (typeof callback !== 'function') {
+        throw new TypeError('the last argument has to be a callback');
+      }
+
+      // the callback is called outside of the promise chain, otherwise an
+      // exception thrown in the callback would be caught by the promise and
+      // the callback would be called once more with it as the error
+      const done = (...results) => { process.nextTick(() => callback(...results)); };
+
+      new Promise((resolve) => { resolve(fn.apply(this, args)); })
+        .then((value) => done(null, value), (e) => done(toError(e, fn.name)));
+    };
+
+    Object.defineProperty(callbackified, 'name', { value: fn.name });
+    return callbackified;
+  };
+
+  // the original object stays untouched, the result inherits from it, so it
+  // has both the original and the promisified methods, options:
+  // - suffix: added to the names of the promisified methods (default 'Async')
+  // - filter: (name, fn) => boolean, which methods to promisify
+  // - multi: passed on to promisify
+  const promisifyAll = function(obj, { suffix = 'Async', filter = () => true, multi } = {}) {
+    const result = Object.create(obj);
+    const names = new Set();
+
+    // methods of the whole prototype chain, except those of Object.prototype
+    for (let o = obj; o && o !== Object.prototype; o = Object.getPrototypeOf(o)) {
+      Object.getOwnPropertyNames(o).forEach((name) => names.add(name));
+    }
+
+    names.forEach((name) => {
+      const descriptor = Object.getOwnPropertyDescriptor(obj, name) || {};
+
+      // getters are not touched, reading them might have side effects
+      if (descriptor.get || name === 'constructor') { return; }
+
+      const fn = obj[name];
+      if (typeof fn !== 'function' || !filter(name, fn) || names.has(`${name}${suffix}`)) { return; }
+
+      result[`${name}${suffix}`] = promisify(fn, { multi, context: obj });
+    });
+
+    return result;
+  };
+
+  // works with Node's EventEmitter (on/off), DOM EventTarget
+  // (addEventListener/removeEventListener) and our emitter from the observer
+  // section (on returns a function that removes the listener), options:
+  // - rejectOn: names of events that reject the promise (default ['error'])
+  // - multi: resolve with all of the event arguments, not only the first
+  // - signal: AbortSignal that cancels the waiting
+  const fromEvent = function(emitter, name, { rejectOn = ['error'], multi = false, signal } = {}) {
+    const listen = (event, listener) => {
+      if (typeof emitter.addEventListener === 'function') {
+        emitter.addEventListener(event, listener);
+        return () => emitter.removeEventListener(event, listener);
+      }
+
+      const off = emitter.on(event, listener);
+      if (typeof off === 'function') { return off; }
+
+      return () => (emitter.off || emitter.removeListener).call(emitter, event, listener);
+    };
+
+    return new Promise((resolve, reject) => {
+      const cleanups = [];
+      const cleanup = () => { cleanups.forEach((fn) => fn()); };
+
+      if (signal && signal.aborted) {
+        reject(toError(signal.reason, 'fromEvent'));
+        return;
+      }
+
+      cleanups.push(listen(name, (...args) => {
+        cleanup();
+        resolve(multi ? args : args[0]);
+      }));
+
+      rejectOn.filter((event) => event !== name).forEach((event) => {
+        cleanups.push(listen(event, (err) => {
+          cleanup();
+          reject(toError(err, `${name} event`));
+        }));
+      });
+
+      if (signal) {
+        const onAbort = () => {
+          cleanup();
+          reject(toError(signal.reason, 'fromEvent'));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        cleanups.push(() => signal.removeEventListener('abort', onAbort));
+      }
+    });
+  };
+
+  return {
+    custom,
+    promisify,
+    callbackify,
+    promisifyAll,
+    fromEvent
+  };
+})();
+
+// -----------------------------------------------------------------------------
+
+(async () => {
+
+const fs = require('fs');
+const EventEmitter = require('events');
+const { promisify, callbackify, promisifyAll, fromEvent, custom } = interop;
+
+// the fs.readFile example, with await
+const readFile = promisify(fs.readFile);
+
+const source = await readFile(__filename, 'utf-8');
+console.log(source.split('\n')[2]);   // <- prints // CALLBACKS AND PROMISES TOGETHER
+
+try {
+  await readFile('path-to-your-file', 'utf-8');
+} catch (e) {
+  console.log(e.code);                // <- prints ENOENT, the original error
+}
+
+// the whole module at once
+const fsAsync = promisifyAll(fs);
+console.log((await fsAsync.statAsync(__filename)).isFile());   // <- prints true
+
+// setTimeout takes the callback first, so it needs a custom version
+const wait = function(ms, callback) { setTimeout(callback, ms); };
+wait[custom] = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+await promisify(wait)(10);
+console.log('waited');                // <- prints waited
+
+// callbacks with more values
+const measure = function measure(text, callback) {
+  callback(null, text.length, text.split(' ').length);
+};
+
+console.log(await promisify(measure, { multi: true })('hello Sue'));                   // <- prints [ 9, 2 ]
+console.log(await promisify(measure, { multi: ['chars', 'words'] })('hello Sue'));     // <- prints { chars: 9, words: 2 }
+
+// methods keep their 'this'
+const counter = {
+  count: 0,
+  increment(by, callback) {
+    this.count += by;
+    callback(null, this.count);
+  }
+};
+
+counter.incrementAsync = promisify(counter.increment);
+console.log(await counter.incrementAsync(5));    // <- prints 5
+
+// errors that are not Error objects are wrapped
+const legacy = function legacy(callback) { callback('disk full'); };
+
+try {
+  await promisify(legacy)();
+} catch (e) {
+  console.log(e instanceof InteropError, e.message, e.cause);
+  // <- prints true legacy failed with disk full disk full
+}
+
+// and the other way around, async function used by callback code
+const loadUser = async function loadUser(id) {
+  if (id < 0) { throw new Error('invalid id'); }
+  return { id, name: 'Sue' };
+};
+
+const loadUserCb = callbackify(loadUser);
+
+loadUserCb(1, (err, user) => console.log(err, user));   // <- prints null { id: 1, name: 'Sue' }
+loadUserCb(-1, (err) => console.log(err.message));      // <- prints invalid id
+
+// events
+const emitter = new EventEmitter();
+
+setTimeout(() => emitter.emit('ready', 'server', 8080), 10);
+console.log(await fromEvent(emitter, 'ready', { multi: true }));   // <- prints [ 'server', 8080 ]
+
+setTimeout(() => emitter.emit('error', new Error('port in use')), 10);
+
+try {
+  await fromEvent(emitter, 'ready');
+} catch (e) {
+  console.log(e.message);             // <- prints port in use
+}
+
+console.log(emitter.listenerCount('ready'), emitter.listenerCount('error'));   // <- prints 0 0
+
+})();
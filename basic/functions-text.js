@@ -0,0 +1,146 @@
+"use strict";
+
+// TEXT EXTRACTION
+// In the functions section, we have built the 'getLetters' function twice,
+// once with a hand-typed list of letters and once with /[a-z]/i. Both of them
+// work for our '123Ab45xy' example, but let's be honest about what they do:
+// - the hand-typed list is missing 'j' (which is exactly the kind of bug that
+//   hand-typed lists invite)
+// - both know only the 26 letters of the English alphabet, so 'é', 'ß', 'ж'
+//   or 'λ' are not letters for them
+// - both look at the string one UTF-16 code unit at a time, but a single
+//   character that we see on the screen can be made of several code units
+//   (emoji, letters with combining accents, flags...)
+
+// JavaScript has better tools for this nowadays. Regular expressions with the
+// 'u' flag understand Unicode properties, \p{L} matches any letter of any
+// script, \p{Nd} any decimal digit, \p{M} combining marks (like the accent in
+// 'e' followed by U+0301). And 'Intl.Segmenter' knows how to split text into
+// graphemes (what the user sees as one character) and words, according to
+// the rules of the given language.
+
+// -----------------------------------------------------------------------------
+
+// The module follows the same pattern as 'API1', one closure and a few public
+// functions:
+// - iterate(str, kind, options) returns a lazy iterator of matches, each of
+//   them is { value, index, end } where index and end are offsets in 'str',
+//   kind is one of 'letters', 'digits', 'words' or 'graphemes'
+// - extract(str, kind, options) returns the matches joined into a string
+//   (with options.separator between them, '' by default)
+// - getLetters(str) is the same as extract(str, 'letters'), so the module can
+//   replace API1 and API2
+// - fold(str, locale) folds the case, so that strings which differ only in
+//   case become equal (in a way that is correct for the given language)
+// - stripDiacritics(str) removes accents and similar marks, 'crème brûlée'
+//   becomes 'creme brulee'
+// options.locale is passed to Intl.Segmenter (words and graphemes only).
+
+const text = (function() {
+
+  // a letter may be followed by combining marks that belong to it
+  const patterns = {
+    letters: /\p{L}\p{M}*/gu,
+    digits: /\p{Nd}/gu
+  };
+
+  const segmenters = {
+    words: (locale) => new Intl.Segmenter(locale, { granularity: 'word' }),
+    graphemes: (locale) => new Intl.Segmenter(locale, { granularity: 'grapheme' })
+  };
+
+  const iterate = function* (str, kind, { locale } = {}) {
+    if (typeof str !== 'string') {
+      throw new TypeError(`expected a string, got ${typeof str}`);
+    }
+
+    if (patterns[kind]) {
+      // matchAll is lazy as well, it finds the next match only when asked
+      for (const match of str.matchAll(patterns[kind])) {
+        yield { value: match[0], index: match.index, end: match.index + match[0].length };
+      }
+      return;
+    }
+
+    if (segmenters[kind]) {
+      for (const { segment, index, isWordLike } of segmenters[kind](locale).segment(str)) {
+        // word segmenter returns spaces and punctuation as well
+        if (kind === 'words' && !isWordLike) { continue; }
+        yield { value: segment, index, end: index + segment.length };
+      }
+      return;
+    }
+
+    throw new TypeError(`unknown kind "${kind}", expected one of: letters, digits, words, graphemes`);
+  };
+
+  const extract = function(str, kind, { separator = '', locale } = {}) {
+    return Array.from(iterate(str, kind, { locale }), (match) => match.value).join(separator);
+  };
+
+  const getLetters = function(str) {
+    return extract(str, 'letters');
+  };
+
+  // upper case first, because some letters have no single lower case
+  // counterpart of their upper case form (e.g. German 'ß' becomes 'SS' and
+  // then 'ss'), then lower case, both using the rules of the locale (Turkish
+  // 'I' folds to dotless 'ı', not to 'i')
+  const fold = function(str, locale) {
+    return str.toLocaleUpperCase(locale).toLocaleLowerCase(locale).normalize('NFC');
+  };
+
+  // NFD splits letters into the base letter and combining marks, the marks
+  // that are diacritics are then removed (letters like 'ø' or 'ł' are not
+  // composed this way, so they stay as they are)
+  const stripDiacritics = function(str) {
+    return str.normalize('NFD').replace(/(?=\p{Diacritic})\p{Mn}/gu, '').normalize('NFC');
+  };
+
+  return {
+    iterate,
+    extract,
+    getLetters,
+    fold,
+    stripDiacritics
+  };
+})();
+
+// -----------------------------------------------------------------------------
+
+(() => {
+
+const someText = '123Ab45xy';
+console.log(text.getLetters(someText));   // <- prints Abxy
+
+// letters from any script, 'j' included, and the accent in 'é' stays
+// with its letter
+const mixed = 'jalapeño, Straße, жизнь, λόγος, café 42٣';
+
+console.log(text.getLetters(mixed));      // <- prints jalapeñoStraßeжизньλόγοςcafé
+console.log(text.extract(mixed, 'digits'));                      // <- prints 42٣
+console.log(text.extract(mixed, 'words', { separator: ' | ' })); // <- prints jalapeño | Straße | жизнь | λόγος | café | 42٣
+
+// the family emoji is 8 code units, but one grapheme, and so is the flag
+const family = '👨‍👩‍👧 and 🇸🇰';
+
+console.log(family.length);                                 // <- prints 17
+console.log(Array.from(text.iterate(family, 'graphemes')).length); // <- prints 7
+
+// offsets of the matches, computed only as far as we read
+const words = text.iterate('Hello, wonderful world!', 'words');
+
+console.log(words.next().value);   // <- prints { value: 'Hello', index: 0, end: 5 }
+console.log(words.next().value);   // <- prints { value: 'wonderful', index: 7, end: 16 }
+
+// case folding and diacritics, e.g. for search that doesn't care about them
+console.log(text.fold('STRASSE') === text.fold('straße'));   // <- prints true
+console.log(text.fold('DİYARBAKIR', 'tr'));                  // <- prints diyarbakır
+console.log(text.stripDiacritics('crème brûlée, Dvořák'));   // <- prints creme brulee, Dvorak
+
+const search = (haystack, needle) => text.stripDiacritics(text.fold(haystack))
+  .includes(text.stripDiacritics(text.fold(needle)));
+
+console.log(search('Antonín Dvořák', 'DVORAK'));             // <- prints true
+
+})();
@@ -0,0 +1,397 @@
+"use strict";
+
+// SCHEDULING WITH TIMERS
+// In the functions section, we have passed callbacks to 'setTimeout' to run
+// them later. Most of the time, we don't want just "later" though, we want
+// one of a few well known patterns:
+// - debounce: run the function only after the calls have stopped for a while
+//   (search as you type, resize handlers)
+// - throttle: run the function at most once per given time, no matter how
+//   often it is called (scroll handlers, progress updates)
+// - delay: wait for some time, as a promise that can be cancelled
+// - retry: try again if something fails, waiting longer and longer (and a
+//   bit randomly, so that many clients don't retry all at the same moment)
+// - interval: like 'setInterval', but without drift, 'setInterval' only
+//   promises not to run sooner, so every late tick pushes the next ones later
+//   and later, we compute each tick from the start time instead
+
+// There is one more problem with timers, testing them. Nobody wants tests that
+// wait for real seconds. So all of the functions here take the time from a
+// "clock" (an object with now, setTimeout and clearTimeout), the real one by
+// default, and there is a fake clock whose time moves only when we tell it to.
+
+// -----------------------------------------------------------------------------
+
+const timers = (function() {
+
+  const realClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (id) => clearTimeout(id)
+  };
+
+  // fake clock starts at 0 and runs timers only when "tick" moves the time
+  // over them, in the order of their due time (and of creation for the same
+  // time), timers created by the callbacks run in the same "tick" if they
+  // are due by its end
+  const createFakeClock = function(start = 0) {
+    let now = start,
+        nextId = 1;
+    const pending = new Map();
+
+    const nextDue = (until) => Array.from(pending.values())
+      .filter((timer) => timer.time <= until)
+      .sort((a, b) => a.time - b.time || a.id - b.id)[0];
+
+    const runDue = (timer) => {
+      pending.delete(timer.id);
+      now = Math.max(now, timer.time);
+      timer.fn();
+    };
+
+    // lets promise callbacks (then, await) run, they are not timers, so the
+    // fake clock doesn't control them
+    const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+    return {
+      now: () => now,
+      setTimeout(fn, ms = 0) {
+        const id = nextId++;
+        pending.set(id, { id, fn, time: now + Math.max(ms, 0) });
+        return id;
+      },
+      clearTimeout(id) { pending.delete(id); },
+
+      // moves the time without running any timers, as if the current code
+      // was busy for "ms" milliseconds
+      advance(ms) { now += ms; },
+
+      tick(ms) {
+        const until = now + ms;
+        for (let timer = nextDue(until); timer; timer = nextDue(until)) { runDue(timer); }
+        now = Math.max(now, until);
+      },
+
+      // the same as tick, but lets promises settle after every timer, which
+      // is what we need for delay and retry
+      async tickAsync(ms) {
+        const until = now + ms;
+        await settle();
+        for (let timer = nextDue(until); timer; timer = nextDue(until)) {
+          runDue(timer);
+          await settle();
+        }
+        now = Math.max(now, until);
+      },
+
+      get pending() { return pending.size; }
+    };
+  };
+
+  // options:
+  // - leading: call at the beginning of the waiting period (default false)
+  // - trailing: call at the end of the waiting period (default true)
+  // - maxWait: the longest time the call can be postponed, even if the calls
+  //   keep coming
+  // The debounced function has "cancel", "flush" (call now if a call is
+  // waiting) and "pending" methods.
+  const debounce = function(fn, wait, { leading = false, trailing = true, maxWait, clock = realClock } = {}) {
+    const maxing = maxWait !== undefined;
+    const maxDelay = maxing ? Math.max(maxWait, wait) : 0;
+
+    let timer,
+        lastArgs,
+        lastThis,
+        lastCallTime,
+        lastInvokeTime = 0,
+        result;
+
+    const invoke = (time) => {
+      const args = lastArgs,
+            self = lastThis;
+
+      lastArgs = lastThis = undefined;
+      lastInvokeTime = time;
+      result = fn.apply(self, args);
+      return result;
+    };
+
+    const shouldInvoke = (time) => {
+      const sinceCall = time - lastCallTime,
+            sinceInvoke = time - lastInvokeTime;
+
+      return lastCallTime === undefined || sinceCall >= wait ||
+             (maxing && sinceInvoke >= maxDelay);
+    };
+
+    const remainingWait = (time) => {
+      const waiting = wait - (time - lastCallTime);
+      return maxing ? Math.min(waiting, maxDelay - (time - lastInvokeTime)) : waiting;
+    };
+
+    const trailingEdge = (time) => {
+      timer = undefined;
+
+      // call only if there was a call since the last invocation
+      if (trailing && lastArgs) { return invoke(time); }
+      lastArgs = lastThis = undefined;
+      return result;
+    };
+
+    const timerExpired = () => {
+      const time = clock.now();
+
+      if (shouldInvoke(time)) {
+        trailingEdge(time);
+      } else {
+        timer = clock.setTimeout(timerExpired, remainingWait(time));
+      }
+    };
+
+    const leadingEdge = (time) => {
+      lastInvokeTime = time;
+      timer = clock.setTimeout(timerExpired, wait);
+      return leading ? invoke(time) : result;
+    };
+
+    const debounced = function(...args) {
+      const time = clock.now(),
+            isInvoking = shouldInvoke(time);
+
+      lastArgs = args;
+      lastThis = this;
+      lastCallTime = time;
+
+      if (isInvoking) {
+        if (timer === undefined) { return leadingEdge(time); }
+
+        if (maxing) {
+          // calls keep coming for "maxWait" already
+          clock.clearTimeout(timer);
+          timer = clock.setTimeout(timerExpired, wait);
+          return invoke(time);
+        }
+      }
+
+      if (timer === undefined) { timer = clock.setTimeout(timerExpired, wait); }
+      return result;
+    };
+
+    debounced.cancel = () => {
+      if (timer !== undefined) { clock.clearTimeout(timer); }
+      lastInvokeTime = 0;
+      lastArgs = lastThis = lastCallTime = timer = undefined;
+    };
+
+    debounced.flush = () => (timer === undefined ? result : trailingEdge(clock.now()));
+    debounced.pending = () => timer !== undefined;
+
+    return debounced;
+  };
+
+  // throttle is a debounce that can't be postponed for longer than "wait"
+  const throttle = function(fn, wait, { leading = true, trailing = true, clock = realClock } = {}) {
+    return debounce(fn, wait, { leading, trailing, maxWait: wait, clock });
+  };
+
+  const abortError = (signal) => signal.reason || Object.assign(new Error('aborted'), { name: 'AbortError' });
+
+  // promise resolved with "value" after "ms", rejected with the signal's
+  // reason if the signal is aborted first
+  const delay = function(ms, { value, signal, clock = realClock } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortError(signal));
+        return;
+      }
+
+      const onAbort = () => {
+        clock.clearTimeout(timer);
+        reject(abortError(signal));
+      };
+
+      const timer = clock.setTimeout(() => {
+        if (signal) { signal.removeEventListener('abort', onAbort); }
+        resolve(value);
+      }, ms);
+
+      if (signal) { signal.addEventListener('abort', onAbort, { once: true }); }
+    });
+  };
+
+  // calls fn(attempt) until it returns (or its promise resolves), options:
+  // - retries: how many times to try again (default 3)
+  // - minDelay: wait before the first retry (default 100)
+  // - factor: every next wait is "factor" times longer (default 2)
+  // - maxDelay: upper limit of the wait (default Infinity)
+  // - jitter: 'full' (random wait between 0 and the computed one, default),
+  //   'equal' (between half of it and all of it) or 'none'
+  // - shouldRetry: (error, attempt) => boolean, default retries every error
+  // - signal: stops retrying (and waiting) when aborted
+  const retry = async function(fn, options = {}) {
+    const {
+      retries = 3,
+      minDelay = 100,
+      factor = 2,
+      maxDelay = Infinity,
+      jitter = 'full',
+      shouldRetry = () => true,
+      signal,
+      clock = realClock,
+      random = Math.random
+    } = options;
+
+    const backoff = (attempt) => {
+      const base = Math.min(maxDelay, minDelay * Math.pow(factor, attempt));
+
+      if (jitter === 'full') { return random() * base; }
+      if (jitter === 'equal') { return base / 2 + random() * base / 2; }
+      return base;
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      if (signal && signal.aborted) { throw abortError(signal); }
+
+      try {
+        return await fn(attempt);
+      } catch (e) {
+        if (attempt >= retries || !shouldRetry(e, attempt)) { throw e; }
+        await delay(backoff(attempt), { signal, clock });
+      }
+    }
+  };
+
+  // calls fn({ count, drift, missed }) every "period" ms, where each tick
+  // is planned from the start time, not from the previous tick, so the
+  // delays don't add up, if the callback (or anything else) takes longer
+  // than a period, the missed ticks are skipped and reported
+  const interval = function(fn, period, { clock = realClock } = {}) {
+    const start = clock.now();
+    let count = 0,
+        timer,
+        stopped = false;
+
+    const schedule = () => {
+      const due = start + (count + 1) * period;
+      timer = clock.setTimeout(run, Math.max(due - clock.now(), 0));
+    };
+
+    const run = () => {
+      const now = clock.now();
+      const expected = start + (count + 1) * period;
+      const missed = Math.max(Math.floor((now - expected) / period), 0);
+
+      count += 1 + missed;
+      fn({ count, drift: now - expected - missed * period, missed });
+
+      if (!stopped) { schedule(); }
+    };
+
+    schedule();
+
+    return {
+      stop() {
+        stopped = true;
+        clock.clearTimeout(timer);
+      }
+    };
+  };
+
+  return {
+    realClock,
+    createFakeClock,
+    debounce,
+    throttle,
+    delay,
+    retry,
+    interval
+  };
+})();
+
+// -----------------------------------------------------------------------------
+
+(async () => {
+
+const { createFakeClock, debounce, throttle, delay, retry, interval } = timers;
+
+// nothing here waits for real time, the fake clock jumps forward instead
+const clock = createFakeClock();
+
+// debounce, search runs 300ms after the user stops typing
+const searches = [];
+const search = debounce((query) => searches.push(query), 300, { clock });
+
+search('j');
+clock.tick(100);
+search('ja');
+clock.tick(100);
+search('jav');
+clock.tick(299);
+console.log(searches);     // <- prints [], still typing
+clock.tick(1);
+console.log(searches);     // <- prints [ 'jav' ]
+
+// with maxWait, a call comes through at least every 500ms even if the user
+// never stops
+const saves = [];
+const typingStart = clock.now();
+const autosave = debounce(() => saves.push(clock.now() - typingStart), 200, { maxWait: 500, clock });
+
+for (let i = 0; i < 12; i++) {
+  autosave();
+  clock.tick(100);
+}
+console.log(saves);        // <- prints [ 500, 1000 ]
+
+// throttle, at most one update per 100ms, the first one right away
+const updates = [];
+const update = throttle((value) => updates.push(value), 100, { clock });
+
+for (let i = 1; i <= 10; i++) {
+  update(i);
+  clock.tick(25);
+}
+clock.tick(100);
+console.log(updates);      // <- prints [ 1, 4, 8, 10 ]
+
+// delay that can be cancelled
+const controller = new AbortController();
+const waiting = delay(1000, { value: 'done', signal: controller.signal, clock });
+
+controller.abort(new Error('not needed anymore'));
+await waiting.catch((e) => console.log(e.message));  // <- prints not needed anymore
+
+const later = delay(1000, { value: 'done', clock });
+await clock.tickAsync(1000);
+console.log(await later);  // <- prints done
+
+// retry with exponential backoff, fails twice and then succeeds
+const attemptTimes = [];
+const flaky = (attempt) => {
+  attemptTimes.push(clock.now());
+  return attempt < 2 ? Promise.reject(new Error('busy')) : Promise.resolve('ok');
+};
+
+const start = clock.now();
+const result = retry(flaky, { minDelay: 100, jitter: 'none', clock });
+
+await clock.tickAsync(1000);
+console.log(await result);                           // <- prints ok
+console.log(attemptTimes.map((t) => t - start));     // <- prints [ 0, 100, 300 ]
+
+// interval without drift, the second tick takes 30ms of work, the third
+// one still comes on time, then a 250ms pause makes the fourth tick
+// impossible to keep (it is skipped) and the fifth one late by 50ms
+const ticks = [];
+const ticker = interval((info) => {
+  ticks.push(info);
+  if (info.count === 2) { clock.advance(30); }
+  if (info.count === 3) { clock.advance(250); }
+}, 100, { clock });
+
+clock.tick(700);
+ticker.stop();
+console.log(ticks.map(({ count, drift, missed }) => `${count}:${drift}:${missed}`));
+// <- prints [ '1:0:0', '2:0:0', '3:0:0', '5:50:1', '6:0:0', '7:0:0' ]
+
+})();
@@ -607,3 +607,363 @@ setTimeout(sayHelloToSomeone.bind(null, 'sue'), 1000);
 // and we can either handle the error if there is some, or handle the obtained data.
 
 })();
+
+// -----------------------------------------------------------------------------
+
+(() => {
+// OBSERVABLE STATE STORE
+// Let's get back to our counters. 'createCounter' and the 'betterCounter'
+// functions keep their state in a closure where nobody can break it, which
+// was the whole point, but it also means that nobody can do anything else with
+// it. We can't read the current number without increasing it, we can't reset
+// it, we can't step by a different amount and, most importantly, nobody can
+// find out that the number has changed unless they call the counter themselves.
+
+// The closure can hold more than one function though. If we return an object
+// with a few functions that share the same closure, we get a tiny store of
+// state that can be used for much more than counting:
+// - get() returns the current state
+// - set(value) replaces it, update(fn) replaces it with fn(current state)
+// - subscribe(listener) registers a function that is called with the new and
+//   the previous state after every change, and returns a function that
+//   unregisters it again
+// - batch(fn) runs fn and postpones notifications until it ends, so that
+//   several changes in a row notify the listeners only once
+// - snapshot() and restore(snapshot) save and bring back the state, reset()
+//   brings back the initial one
+// Note that the state is replaced, never changed in place, so the listeners
+// can compare the new and the previous state (and so can 'equals' which
+// decides whether anything has changed at all).
+
+function createStore(initialState, { equals = Object.is } = {}) {
+  let state = initialState;
+  const listeners = new Set();
+
+  // state before the outermost batch started, and how deep we are in batches
+  let batchStart = null,
+      batchDepth = 0;
+
+  const notify = (previous) => {
+    if (equals(state, previous)) { return; }
+
+    // copy, so that listeners that unsubscribe during notification
+    // don't affect the loop
+    Array.from(listeners).forEach((listener) => { listener(state, previous); });
+  };
+
+  const set = function(value) {
+    const previous = state;
+    state = value;
+
+    if (batchDepth === 0) { notify(previous); }
+  };
+
+  return {
+    get() { return state; },
+    set,
+    update(fn) { set(fn(state)); },
+    subscribe(listener) {
+      listeners.add(listener);
+      return function unsubscribe() { listeners.delete(listener); };
+    },
+    batch(fn) {
+      if (batchDepth === 0) { batchStart = state; }
+      batchDepth += 1;
+
+      try {
+        return fn();
+      } finally {
+        batchDepth -= 1;
+        if (batchDepth === 0) { notify(batchStart); }
+      }
+    },
+    snapshot() { return Object.freeze({ state }); },
+    restore(snapshot) { set(snapshot.state); },
+    reset() { set(initialState); }
+  };
+}
+
+// Derived (computed) values are stores too, just read-only ones. They are
+// recomputed from their source stores and notify their own listeners only
+// when the computed value changes. The source stores keep a listener of the
+// computed value (and so the computed value itself) alive for as long as they
+// live, dispose() unsubscribes it when the computed value is not needed
+// anymore. After that it keeps returning the last value it had.
+
+function computed(stores, fn, { equals = Object.is } = {}) {
+  const compute = () => fn(...stores.map((store) => store.get()));
+  const result = createStore(compute(), { equals });
+
+  const unsubscribers = stores.map((store) => store.subscribe(() => { result.set(compute()); }));
+
+  return {
+    get: result.get,
+    subscribe: result.subscribe,
+    dispose() {
+      unsubscribers.forEach((unsubscribe) => { unsubscribe(); });
+      unsubscribers.length = 0;
+    }
+  };
+}
+
+// The counter is now just a store holding a number.
+
+const counter = createStore(0);
+const increment = (step = 1) => counter.update((n) => n + step);
+
+const unsubscribe = counter.subscribe((value, previous) => {
+  console.log(`counter ${previous} -> ${value}`);
+});
+
+increment();        // <- prints counter 0 -> 1
+increment(10);      // <- prints counter 1 -> 11
+console.log(counter.get()); // <- prints 11
+
+// three changes, one notification
+counter.batch(() => {
+  increment();
+  increment();
+  increment();
+});                 // <- prints counter 11 -> 14
+
+const saved = counter.snapshot();
+increment(100);     // <- prints counter 14 -> 114
+counter.restore(saved);   // <- prints counter 114 -> 14
+
+counter.reset();    // <- prints counter 14 -> 0
+unsubscribe();
+increment();        // nothing is printed anymore
+
+// and a small piece of application state with a computed value
+const cart = createStore({ items: [] });
+const discount = createStore(0);
+
+const total = computed([cart, discount], ({ items }, pct) => {
+  const sum = items.reduce((acc, item) => acc + item.price, 0);
+  return sum * (1 - pct / 100);
+});
+
+total.subscribe((value) => { console.log(`total is ${value}`); });
+
+cart.update(({ items }) => ({ items: [...items, { name: 'book', price: 20 }] }));  // <- prints total is 20
+cart.update(({ items }) => ({ items: [...items, { name: 'pen', price: 5 }] }));    // <- prints total is 25
+discount.set(20);   // <- prints total is 20
+
+// once the total is not needed anymore, it stops listening to cart and discount
+total.dispose();
+discount.set(50);   // nothing is printed
+console.log(total.get());  // <- prints 20, the last computed value
+
+})();
+
+// -----------------------------------------------------------------------------
+
+(() => {
+// MODULE REGISTRY
+// In the IIFE section, 'API1' and 'API2' were hiding '_isLetter' and '_letters'
+// in a closure, and we have talked about why it is important that the
+// consumers can't use them. But hiding is all we got, nothing tells the
+// consumer that '_isLetter' doesn't exist when they try to use it (they just
+// get undefined), nothing stops them from replacing 'getLetters' on the
+// returned object, and nothing warns us when a new version of our module
+// breaks the promise of the previous one.
+
+// Let's build a registry of modules that does those things for us:
+// - defineModule(name, version, [deps], factory) calls the factory with the
+//   public APIs of the dependencies (given as 'name' for the latest version
+//   or 'name@major' for the latest version with that major number) and
+//   whatever the factory returns is the public API of the module. Names
+//   starting with underscore are private by convention, so returning them
+//   is an error
+// - the API is frozen and wrapped in a Proxy, reading a member that isn't a
+//   part of it throws instead of returning undefined
+// - when a newer version of a module doesn't export a function that the
+//   previous version did, or the function takes a different number of
+//   parameters, we get a warning, because code written against the previous
+//   version will break (such change should come with a new major version)
+// - requireModule(name) returns the API, in the same way as the dependencies
+
+function createModuleRegistry({ warn = (message) => console.warn(message) } = {}) {
+  // name -> array of { version, api, exportsInfo }, sorted by version
+  const modules = new Map();
+
+  const parseVersion = (version) => {
+    if (!/^\d+\.\d+\.\d+$/.test(version)) {
+      throw new TypeError(`version has to be in MAJOR.MINOR.PATCH format, got "${version}"`);
+    }
+    return version.split('.').map(Number);
+  };
+
+  const compareVersions = (a, b) => {
+    const [x, y] = [parseVersion(a), parseVersion(b)];
+    for (let i = 0; i < 3; i++) {
+      if (x[i] !== y[i]) { return x[i] - y[i]; }
+    }
+    return 0;
+  };
+
+  const requireModule = function(request) {
+    const [name, major] = request.split('@');
+    const versions = (modules.get(name) || [])
+      .filter(({ version }) => major === undefined || parseVersion(version)[0] === Number(major));
+
+    if (versions.length === 0) {
+      throw new Error(`module "${request}" is not defined`);
+    }
+    return versions[versions.length - 1].api;
+  };
+
+  const protect = (name, version, exported) => {
+    const id = `${name}@${version}`;
+    const api = Object.freeze(Object.assign(Object.create(null), exported));
+
+    return new Proxy(api, {
+      get(target, key) {
+        // symbols are asked for by the language itself (e.g. by console.log
+        // or string conversion), and 'then' by 'await', so we let them pass
+        if (typeof key === 'symbol' || key === 'then' || key in target) {
+          return target[key];
+        }
+        throw new ReferenceError(`module "${id}" doesn't export "${key}"`);
+      },
+      set(target, key) {
+        throw new TypeError(`can't set "${String(key)}", API of module "${id}" is read-only`);
+      },
+      defineProperty(target, key) {
+        throw new TypeError(`can't define "${String(key)}", API of module "${id}" is read-only`);
+      },
+      deleteProperty(target, key) {
+        throw new TypeError(`can't delete "${String(key)}", API of module "${id}" is read-only`);
+      }
+    });
+  };
+
+  // exported functions and their number of parameters
+  const describe = (exported) => new Map(Object.keys(exported)
+    .filter((key) => typeof exported[key] === 'function')
+    .map((key) => [key, exported[key].length]));
+
+  const checkCompatibility = (name, previous, version, exportsInfo) => {
+    const majorBump = parseVersion(version)[0] > parseVersion(previous.version)[0];
+    const note = majorBump ? '' : ' without a new major version';
+
+    previous.exportsInfo.forEach((arity, fn) => {
+      if (!exportsInfo.has(fn)) {
+        warn(`${name}@${version} removes "${fn}" exported by ${name}@${previous.version}${note}`);
+      } else if (exportsInfo.get(fn) !== arity) {
+        warn(`${name}@${version} changes arity of "${fn}" from ${arity} to ${exportsInfo.get(fn)}${note}`);
+      }
+    });
+  };
+
+  const defineModule = function(name, version, deps, factory) {
+    if (typeof deps === 'function') {
+      factory = deps;
+      deps = [];
+    }
+
+    parseVersion(version);
+    const versions = modules.get(name) || [];
+
+    if (versions.some((m) => m.version === version)) {
+      throw new Error(`module "${name}@${version}" is already defined`);
+    }
+
+    const exported = factory(...deps.map(requireModule));
+
+    if (exported === null || typeof exported !== 'object') {
+      throw new TypeError(`factory of "${name}@${version}" has to return an object`);
+    }
+
+    const privates = Object.keys(exported).filter((key) => key.startsWith('_'));
+    if (privates.length > 0) {
+      throw new TypeError(`module "${name}@${version}" exports private members: ${privates.join(', ')}`);
+    }
+
+    const exportsInfo = describe(exported);
+    const previous = versions.filter((m) => compareVersions(m.version, version) < 0).pop();
+
+    if (previous) { checkCompatibility(name, previous, version, exportsInfo); }
+
+    const api = protect(name, version, exported);
+
+    versions.push({ version, api, exportsInfo });
+    versions.sort((a, b) => compareVersions(a.version, b.version));
+    modules.set(name, versions);
+
+    return api;
+  };
+
+  return { defineModule, requireModule };
+}
+
+const warnings = [];
+const { defineModule, requireModule } = createModuleRegistry({
+  warn: (message) => warnings.push(message)
+});
+
+// our API1 and API2 from before, as two versions of one module
+
+defineModule('letters', '1.0.0', function() {
+  const _letters = 'abcdefghijklmnopqrstuvwxyz';
+
+  const _isLetter = function(char) {
+    return Array.from(_letters).includes(char.toLowerCase());
+  };
+
+  const getLetters = function(str) {
+    return Array.from(str).filter(_isLetter).join('');
+  };
+
+  return { getLetters };
+});
+
+defineModule('letters', '1.1.0', function() {
+  const getLetters = function(str) {
+    return Array.from(str).filter(char => /[a-z]/i.test(char)).join('');
+  };
+
+  return { getLetters };
+});
+
+// a module that depends on the latest 1.x version of 'letters'
+
+defineModule('shout', '1.0.0', ['letters@1'], function(letters) {
+  const shout = function(str) {
+    return `${letters.getLetters(str).toUpperCase()}!`;
+  };
+
+  return { shout };
+});
+
+console.log(requireModule('shout').shout('123Ab45xy')); // <- prints ABXY!
+
+const letters = requireModule('letters');
+
+try {
+  letters._isLetter('a');
+} catch (e) {
+  console.log(e.message); // <- module "letters@1.1.0" doesn't export "_isLetter"
+}
+
+try {
+  letters.getLetters = () => 'hacked';
+} catch (e) {
+  console.log(e.message); // <- can't set "getLetters", API of module "letters@1.1.0" is read-only
+}
+
+// version 1.2.0 adds a parameter to 'getLetters' but, by mistake, keeps the
+// same major number
+
+defineModule('letters', '1.2.0', function() {
+  const getLetters = function(str, limit) {
+    return Array.from(str).filter(char => /[a-z]/i.test(char)).slice(0, limit).join('');
+  };
+
+  return { getLetters };
+});
+
+console.log(warnings);
+// <- prints [ 'letters@1.2.0 changes arity of "getLetters" from 1 to 2 without a new major version' ]
+
+})();
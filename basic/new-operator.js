@@ -340,3 +340,566 @@ console.log(sue2);
 // both of these calls have the desired behavior
 
 })();
+
+// -----------------------------------------------------------------------------
+
+// GENERATING SCOPE-SAFE CONSTRUCTORS
+// The check from "BE AWARE OF 5." works, but we have to write it again in
+// every constructor (and remember to update it when the parameters change).
+// The same goes for checking the arguments, nothing stops us from calling
+// Person(20, 'sue') and we find out only much later, when something prints
+// "Person 20, sue".
+
+// So let's generate constructors from a description instead. The spec has:
+// - name: name of the constructor (shows up in errors and in the console)
+// - fields: object describing the parameters, in the order in which the
+//   constructor takes them, each field can have:
+//   - type: 'string', 'number', 'boolean', 'object', 'function', 'array' or
+//     a constructor function (checked with instanceof)
+//   - required: whether undefined is an error (default false)
+//   - default: value used for undefined, if it is a function, it is called
+//     to produce the value (so that each object gets its own array or object)
+//   - validate: function returning true for valid values
+// - methods: object whose methods are put on the prototype
+// Every problem is reported as TypeError that names the constructor and the
+// field.
+
+function defineConstructor({ name, fields = {}, methods = {} }) {
+  const fieldNames = Object.keys(fields);
+
+  const typeOf = (value) => {
+    if (value === null) { return 'null'; }
+    return Array.isArray(value) ? 'array' : typeof value;
+  };
+
+  const checkType = (field, type, value) => {
+    if (typeof type === 'function') {
+      if (!(value instanceof type)) {
+        throw new TypeError(`${name}: "${field}" must be an instance of ${type.name}, got ${typeOf(value)}`);
+      }
+    } else if (typeOf(value) !== type) {
+      throw new TypeError(`${name}: "${field}" must be of type ${type}, got ${typeOf(value)}`);
+    }
+  };
+
+  const Constructor = function(...args) {
+    // called without 'new', the same trick as before
+    if (!(this instanceof Constructor)) {
+      return new Constructor(...args);
+    }
+
+    if (args.length > fieldNames.length) {
+      throw new TypeError(`${name}: expected at most ${fieldNames.length} arguments, got ${args.length}`);
+    }
+
+    fieldNames.forEach((field, i) => {
+      const { type, required = false, validate } = fields[field];
+      let value = args[i];
+
+      if (value === undefined && 'default' in fields[field]) {
+        const fallback = fields[field].default;
+        value = typeof fallback === 'function' ? fallback() : fallback;
+      }
+
+      if (value === undefined) {
+        if (required) { throw new TypeError(`${name}: "${field}" is required`); }
+      } else {
+        if (type) { checkType(field, type, value); }
+
+        if (typeof validate === 'function' && !validate(value)) {
+          throw new TypeError(`${name}: "${field}" has invalid value ${JSON.stringify(value)}`);
+        }
+      }
+
+      this[field] = value;
+    });
+  };
+
+  Object.defineProperty(Constructor, 'name', { value: name });
+
+  // methods are not enumerable, just like the methods of classes
+  Object.keys(methods).forEach((method) => {
+    Object.defineProperty(Constructor.prototype, method, {
+      value: methods[method],
+      writable: true,
+      configurable: true
+    });
+  });
+
+  return Constructor;
+}
+
+(() => {
+
+const Person = defineConstructor({
+  name: 'Person',
+  fields: {
+    name: { type: 'string', required: true },
+    age: { type: 'number', default: 0, validate: (age) => age >= 0 },
+    sports: { type: 'array', default: () => [] }
+  },
+  methods: {
+    getDescription() {
+      return `Person ${this.name}, ${this.age}`;
+    }
+  }
+});
+
+const sue1 = new Person('sue', 20);
+const sue2 = Person('sue', 20);
+
+console.log(sue1.getDescription());         // <- Person sue, 20
+console.log(sue2 instanceof Person);        // <- true
+console.log(Person('bob').age);             // <- 0
+console.log(sue1.sports === sue2.sports);   // <- false, each got its own array
+
+try {
+  Person(20, 'sue');
+} catch (e) {
+  console.log(e.message); // <- Person: "name" must be of type string, got number
+}
+
+try {
+  Person();
+} catch (e) {
+  console.log(e.message); // <- Person: "name" is required
+}
+
+try {
+  Person('sue', -1);
+} catch (e) {
+  console.log(e.message); // <- Person: "age" has invalid value -1
+}
+
+})();
+
+// -----------------------------------------------------------------------------
+
+// INHERITANCE HELPER
+// When one constructor should build on another one (Student is a Person with
+// a school), we have seen two ways to link their prototypes. The factory
+// pattern does "Child.prototype = new Parent()", which calls the Parent
+// constructor without arguments just to get an object with the right
+// prototype (and puts whatever Parent sets on "this" into the shared
+// prototype). "Object.create(Parent.prototype)" is the better one, but it has
+// a few steps that are easy to forget:
+// - prototype created by Object.create has no own "constructor", so
+//   "student.constructor" would point to Person
+// - methods that were already put on Child.prototype are lost when we
+//   replace it
+// - static properties of Parent (Parent.create, ...) are not available on Child
+// - calling the parent's version of an overridden method means typing
+//   "Parent.prototype.method.call(this, ...)" every time
+
+// inherit(Child, Parent, options) takes care of all of that. The "super"
+// accessor that it adds to Child returns Parent's methods bound to the given
+// object, e.g. "Student.super(this).getDescription()". With the "mixins"
+// option, it also copies methods of plain objects (the same kind of objects
+// that we were mixing together in the mixins section) to the prototype.
+// Name defined in two mixins, or in a mixin and the Child itself, is a
+// conflict, and "conflicts" option decides what to do with it: 'throw'
+// (default), 'first' (keep the first definition) or 'last' (keep the last one,
+// Child's own methods count as the first).
+// Child has to be a plain function constructor. The "prototype" of a class
+// is read-only (and arrow functions don't have one), so it can't be
+// replaced, "class Child extends Parent" is the way to go for classes.
+
+function inherit(Child, Parent, { mixins = [], conflicts = 'throw' } = {}) {
+  if (!['throw', 'first', 'last'].includes(conflicts)) {
+    throw new TypeError(`unknown conflict resolution "${conflicts}"`);
+  }
+
+  const prototypeOf = (fn) => (typeof fn === 'function' ? Object.getOwnPropertyDescriptor(fn, 'prototype') : undefined);
+  const childPrototype = prototypeOf(Child);
+
+  if (!childPrototype || !childPrototype.writable) {
+    const name = (typeof Child === 'function' && Child.name) || String(Child);
+    throw new TypeError(`${name} has to be a function constructor with a writable prototype, ` +
+      'for a class use "class ... extends" instead');
+  }
+  if (!prototypeOf(Parent)) {
+    throw new TypeError('Parent has to be a constructor');
+  }
+
+  const ownMethods = Child.prototype;
+  // built aside and assigned at the end, so that Child stays untouched
+  // if there is a conflict
+  const proto = Object.create(Parent.prototype);
+
+  Reflect.ownKeys(ownMethods).filter((key) => key !== 'constructor').forEach((key) => {
+    Object.defineProperty(proto, key, Object.getOwnPropertyDescriptor(ownMethods, key));
+  });
+
+  Object.defineProperty(proto, 'constructor', {
+    value: Child,
+    writable: true,
+    configurable: true
+  });
+
+  // where each name of the prototype came from, for conflict messages
+  const origins = new Map(Reflect.ownKeys(ownMethods).map((key) => [key, Child.name]));
+
+  mixins.forEach((mixin, i) => {
+    Reflect.ownKeys(mixin).forEach((key) => {
+      if (origins.has(key)) {
+        if (conflicts === 'throw') {
+          throw new Error(`${String(key)} is defined by both ${origins.get(key)} and mixin #${i}`);
+        }
+        if (conflicts === 'first') { return; }
+      }
+
+      Object.defineProperty(proto, key, Object.assign(
+        Object.getOwnPropertyDescriptor(mixin, key),
+        { enumerable: false }
+      ));
+      origins.set(key, `mixin #${i}`);
+    });
+  });
+
+  Child.prototype = proto;
+
+  // statics that Child doesn't define itself
+  const builtIn = ['length', 'name', 'prototype', 'arguments', 'caller', 'super'];
+
+  Reflect.ownKeys(Parent).forEach((key) => {
+    if (!builtIn.includes(key) && !Object.prototype.hasOwnProperty.call(Child, key)) {
+      Object.defineProperty(Child, key, Object.getOwnPropertyDescriptor(Parent, key));
+    }
+  });
+
+  Object.defineProperty(Child, 'super', {
+    value(instance) {
+      return new Proxy(Parent.prototype, {
+        get(target, key) {
+          // getters of the parent are evaluated with the instance as "this"
+          const value = Reflect.get(target, key, instance);
+          return typeof value === 'function' ? value.bind(instance) : value;
+        }
+      });
+    },
+    configurable: true
+  });
+
+  return Child;
+}
+
+// extend(Parent, methods, options) is a shortcut that creates the Child for
+// us. If "methods" has its own "constructor", it is used as Child, otherwise
+// Child just passes all of its arguments to Parent.
+
+function extend(Parent, methods = {}, options = {}) {
+  const { constructor, ...rest } = methods;
+
+  const Child = Object.prototype.hasOwnProperty.call(methods, 'constructor')
+    ? constructor
+    : function Child(...args) {
+      if (!(this instanceof Child)) { return new Child(...args); }
+      Parent.apply(this, args);
+    };
+
+  Object.keys(rest).forEach((key) => {
+    Object.defineProperty(Child.prototype, key, {
+      value: rest[key],
+      writable: true,
+      configurable: true
+    });
+  });
+
+  return inherit(Child, Parent, options);
+}
+
+(() => {
+
+const Person = defineConstructor({
+  name: 'Person',
+  fields: {
+    name: { type: 'string', required: true },
+    age: { type: 'number', default: 0 }
+  },
+  methods: {
+    getDescription() {
+      return `Person ${this.name}, ${this.age}`;
+    }
+  }
+});
+
+Person.create = function(name) { return new this(name); };
+
+// mixins, the same as in the mixins section, just plain objects
+const canSwim = { swim() { return `${this.name} is swimming`; } };
+const canRun = { run() { return `${this.name} is running`; } };
+
+function Student(name, age, school) {
+  if (!(this instanceof Student)) {
+    return new Student(name, age, school);
+  }
+
+  Person.call(this, name, age);
+  this.school = school;
+}
+
+Student.prototype.getDescription = function() {
+  return `${Student.super(this).getDescription()}, studies at ${this.school}`;
+};
+
+inherit(Student, Person, { mixins: [canSwim, canRun] });
+
+const sue = Student('sue', 20, 'MIT');
+
+console.log(sue.getDescription());       // <- Person sue, 20, studies at MIT
+console.log(sue.constructor === Student); // <- true
+console.log(sue instanceof Person);      // <- true
+console.log(sue.swim());                 // <- sue is swimming
+console.log(Student.create('bob') instanceof Student); // <- true, static "create" was copied
+
+// a mixin that would silently replace Student's own method
+const describable = { getDescription() { return 'something'; } };
+
+function Teacher(name, age) { Person.call(this, name, age); }
+Teacher.prototype.getDescription = function() { return `Teacher ${this.name}`; };
+
+try {
+  inherit(Teacher, Person, { mixins: [describable] });
+} catch (e) {
+  console.log(e.message);  // <- getDescription is defined by both Teacher and mixin #0
+}
+
+// the shortcut version
+const Athlete = extend(Person, {
+  getDescription() {
+    return `${Athlete.super(this).getDescription()}, athlete`;
+  }
+}, { mixins: [canRun] });
+
+const bob = Athlete('bob', 30);
+console.log(bob.getDescription());   // <- Person bob, 30, athlete
+console.log(bob.run());              // <- bob is running
+
+// classes have a read-only prototype, they extend their parent themselves
+class Coach {}
+
+try {
+  inherit(Coach, Person);
+} catch (e) {
+  console.log(e.message);
+  // <- Coach has to be a function constructor with a writable prototype, for a class use "class ... extends" instead
+}
+
+})();
+
+// -----------------------------------------------------------------------------
+
+// IMMUTABLE RECORDS
+// All of the Person factories above produce objects that anyone can change.
+// That is not a problem as long as each object has only one owner, but once
+// we share it, or worse, share only a part of it (e.g. the "sports" array
+// that ended up in two objects after Object.assign in the mixins section),
+// a change made through one reference shows up everywhere else.
+
+// For objects that are just values (a person's name and age, an address...),
+// the easiest fix is to make them immutable. Record(shape) returns a factory
+// of such objects, where "shape" lists the allowed properties together with
+// their default values. The created objects:
+// - are deeply frozen (arrays and objects inside of them are copied first, so
+//   freezing doesn't touch what we have passed in, and then frozen too)
+// - are changed by creating a new object, "with(changes)"
+// - are compared by value, "equals(other)", and "hashCode()" returns the same
+//   number for equal records (so they can be used as keys of a hash map)
+// - survive JSON.stringify and the factory's "fromJSON"
+// Values can be primitives, arrays, plain objects or other records. A field
+// holds a record of a given type if its default value is such a record, or
+// if the shape gives the type itself ({ address: Address }, the default is
+// then Address()). Plain objects passed to such a field (e.g. parsed from
+// JSON) are turned into records of that type.
+
+function Record(shape, name = 'Record') {
+  const keys = Object.keys(shape);
+
+  const isRecordType = (value) => typeof value === 'function' && value.prototype instanceof RecordBase;
+
+  // field -> record factory, for the record-typed fields
+  const types = {};
+  const defaults = {};
+
+  keys.forEach((key) => {
+    if (isRecordType(shape[key])) {
+      types[key] = shape[key];
+      defaults[key] = shape[key]();
+    } else {
+      if (shape[key] instanceof RecordBase) { types[key] = shape[key].constructor; }
+      defaults[key] = shape[key];
+    }
+  });
+
+  const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+    [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+  // copy and freeze, records are immutable already
+  const freezeCopy = (value, path) => {
+    if (value === null || typeof value !== 'object' || value instanceof RecordBase) { return value; }
+
+    if (Array.isArray(value)) {
+      return Object.freeze(value.map((item, i) => freezeCopy(item, `${path}[${i}]`)));
+    }
+
+    if (isPlainObject(value)) {
+      const copy = {};
+      Object.keys(value).forEach((key) => { copy[key] = freezeCopy(value[key], `${path}.${key}`); });
+      return Object.freeze(copy);
+    }
+
+    throw new TypeError(`${name}: "${path}" must be a primitive, array, plain object or record`);
+  };
+
+  const fieldValue = (key, value) => {
+    const Type = types[key];
+
+    if (Type && isPlainObject(value)) { return Type(value); }
+    if (Type && value instanceof RecordBase && !(value instanceof Type)) {
+      throw new TypeError(`${name}: "${key}" must be a record of type ${Type.name}, got ${value.constructor.name}`);
+    }
+    return freezeCopy(value, key);
+  };
+
+  function Factory(values = {}) {
+    Object.keys(values).forEach((key) => {
+      if (!keys.includes(key)) { throw new TypeError(`${name}: unknown property "${key}"`); }
+    });
+
+    const obj = Object.create(Factory.prototype);
+
+    keys.forEach((key) => {
+      obj[key] = fieldValue(key, key in values ? values[key] : defaults[key]);
+    });
+
+    return Object.freeze(obj);
+  }
+
+  Object.defineProperty(Factory, 'name', { value: name });
+  Factory.prototype = Object.create(RecordBase.prototype, {
+    constructor: { value: Factory, writable: true, configurable: true }
+  });
+
+  Factory.fromJSON = function(json) {
+    return Factory(typeof json === 'string' ? JSON.parse(json) : json);
+  };
+
+  return Factory;
+}
+
+// shared by all the records, so that "instanceof" and the methods work the
+// same no matter which factory has created the record
+
+function RecordBase() {}
+
+(() => {
+
+  const equal = (a, b) => {
+    if (Object.is(a, b)) { return true; }
+    // a record is never equal to a plain object, no matter which one is first
+    if (a instanceof RecordBase || b instanceof RecordBase) {
+      return a instanceof RecordBase && b instanceof RecordBase && a.equals(b);
+    }
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') { return false; }
+    if (Array.isArray(a) !== Array.isArray(b)) { return false; }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+
+    return keysA.length === keysB.length &&
+           keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && equal(a[key], b[key]));
+  };
+
+  // string that is the same for equal values (keys of objects are sorted)
+  const canonical = (value) => {
+    if (value instanceof RecordBase) {
+      return `${value.constructor.name}${canonical(Object.assign({}, value))}`;
+    }
+    if (Array.isArray(value)) { return `[${value.map(canonical).join(',')}]`; }
+    if (value !== null && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map((key) => `${key}:${canonical(value[key])}`).join(',')}}`;
+    }
+    return Object.is(value, -0) ? '-0' : `${typeof value}:${String(value)}`;
+  };
+
+  const define = (method, fn) => {
+    Object.defineProperty(RecordBase.prototype, method, { value: fn, writable: true, configurable: true });
+  };
+
+  define('with', function(changes) {
+    return this.constructor(Object.assign({}, this, changes));
+  });
+
+  define('equals', function(other) {
+    return other instanceof RecordBase &&
+           other.constructor === this.constructor &&
+           equal(Object.assign({}, this), Object.assign({}, other));
+  });
+
+  define('hashCode', function() {
+    const str = canonical(this);
+    let hash = 0;
+
+    for (let i = 0; i < str.length; i++) {
+      // hash * 31 + char, kept in 32 bits
+      hash = (Math.imul(hash, 31) + str.charCodeAt(i)) | 0;
+    }
+    return hash;
+  });
+
+  define('toJSON', function() {
+    return Object.assign({}, this);
+  });
+
+})();
+
+(() => {
+
+const Person = Record({ name: '', age: 0, sports: [] }, 'Person');
+
+const hobbies = { sports: ['skying', 'swimming'] };
+
+const sue = Person({ name: 'Sue', age: 20, sports: hobbies.sports });
+
+try {
+  sue.sports.push('tennis');
+} catch (e) {
+  console.log(e.name);           // <- TypeError, the array is frozen
+}
+
+console.log(hobbies.sports);     // <- [ 'skying', 'swimming' ], the original is not frozen
+
+const olderSue = sue.with({ age: 21, sports: [...sue.sports, 'tennis'] });
+
+console.log(sue.age, olderSue.age);   // <- 20 21
+console.log(olderSue.sports);         // <- [ 'skying', 'swimming', 'tennis' ]
+
+const sueAgain = Person({ name: 'Sue', age: 20, sports: ['skying', 'swimming'] });
+
+console.log(sue === sueAgain);                          // <- false
+console.log(sue.equals(sueAgain));                      // <- true
+console.log(sue.hashCode() === sueAgain.hashCode());    // <- true
+console.log(sue.equals(olderSue));                      // <- false
+
+const json = JSON.stringify(sue);
+console.log(json);                                      // <- {"name":"Sue","age":20,"sports":["skying","swimming"]}
+console.log(Person.fromJSON(json).equals(sue));         // <- true
+
+// nested records come back from JSON as records
+const Address = Record({ city: '', zip: '' }, 'Address');
+const Customer = Record({ name: '', address: Address }, 'Customer');
+
+const bob = Customer({ name: 'Bob', address: Address({ city: 'Malmo', zip: '211 20' }) });
+const bobAgain = Customer.fromJSON(JSON.stringify(bob));
+
+console.log(bobAgain.address instanceof Address);            // <- true
+console.log(bob.equals(bobAgain), bobAgain.equals(bob));      // <- true true
+console.log(Customer({ name: 'Ann' }).address.city === '');   // <- true, the default Address()
+
+try {
+  Person({ nickname: 'Susie' });
+} catch (e) {
+  console.log(e.message);        // <- Person: unknown property "nickname"
+}
+
+})();